@@ -2,7 +2,124 @@ import * as React from "react";
 
 interface FormValidatorOptions {
 	convertNumberToString?: Boolean;
-	defaultMessage?: String;
+	defaultMessage?: Message;
+	/**
+	 * Milliseconds to debounce async rules, unless rule sets its own `debounce`.
+	 * @default 250
+	 */
+	asyncDebounce?: Number;
+	/**
+	 * If to collect errors of all failing rules of a field, instead of stopping at first failing rule.
+	 * @default false
+	 */
+	collectAllErrors?: Boolean;
+	/**
+	 * Current locale, used to pick messages.
+	 */
+	locale?: String;
+	/**
+	 * Message templates mapped by locale and rule code, i.e. `{ sv: { required: "{label} är obligatoriskt" } }`.
+	 */
+	messages?: { [locale: string]: { [code: string]: Message } };
+	/**
+	 * Translator which is invoked with resolved message and message context.
+	 */
+	translate?: (message: String, context: MessageContext) => String;
+	/**
+	 * Field validations mapped by field, which are registered without any component being mounted.
+	 */
+	schema?: ValidationSchema;
+	/**
+	 * Form validation rules, when options are passed as only argument to constructor.
+	 */
+	rules?: Array<GlobalValidationRule>;
+	/**
+	 * Normalizer(s) applied to values of all fields before validation, i.e. "trim".
+	 */
+	normalize?: Normalizer;
+	/**
+	 * Check if a value is empty, replaces default check for all fields.
+	 */
+	isEmpty?: (value: any) => Boolean;
+	/**
+	 * Maps an API error response to field and form errors, used by `setApiErrors()`.
+	 * Defaults to `mapApiErrors`.
+	 */
+	mapErrors?: (response: any) => MappedErrors;
+
+	/**
+	 * External store that form state is kept in, see `createStoreAdapter()`.
+	 */
+	store?: FormStore;
+
+	/**
+	 * Options of scopes mapped by name, i.e. `{ address: { persist: true } }`.
+	 */
+	scopes?: { [scope: string]: ScopeOptions };
+}
+
+interface MappedErrors {
+	/**
+	 * Message(s) mapped by field.
+	 */
+	fields?: { [field: string]: Message | Array<Message> };
+	/**
+	 * Errors that are not related to a specific field.
+	 */
+	form?: Array<String>;
+}
+
+/**
+ * Name of a built-in normalizer ("trim", "number", "date" or "array"), a function or an array of those.
+ */
+type Normalizer = String | ((value: any) => any) | Array<String | ((value: any) => any)>;
+
+/**
+ * Field validations mapped by field path, each in same format as `validate` prop, i.e.
+ * `{ "user.email": "required|email" }`.
+ */
+type ValidateDeclaration = String | Array<String | ValidationRule | Function> | ValidationRule | Function;
+
+interface ValidationSchema {
+	[field: string]:
+		| ValidateDeclaration
+		| {
+				validate: ValidateDeclaration;
+				message?: Message;
+				label?: String;
+				when?: RuleCondition;
+				dependsOn?: String | Array<String>;
+				normalize?: Normalizer;
+				isEmpty?: (value: any) => Boolean;
+				scope?: String;
+		  };
+}
+
+/**
+ * Condition of rule, either value(s) that controlling field must have or a predicate
+ * invoked with form state.
+ */
+type RuleCondition =
+	| { field: String; is: any | Array<any> | ((value: any, formState: any) => Boolean) }
+	| ((formState: any, rule: { field: String; wildcards?: Array<String> }) => Boolean);
+
+/**
+ * Message may be a template such as "{label} must be at least {args.0} characters", a function
+ * which is invoked with message context or an object with messages mapped by locale.
+ */
+type Message = String | ((context: MessageContext) => String) | { [locale: string]: String };
+
+interface MessageContext {
+	field: String;
+	label: String;
+	value: any;
+	args: Array<any>;
+	rule?: String;
+	code?: String;
+	locale?: String;
+	form?: any;
+	group?: any;
+	dependencies?: Array<any>;
 }
 
 interface GlobalValidationRule extends ValidationRule {
@@ -30,10 +147,15 @@ interface ValidationRule {
 	groupId?: String;
 
 	/**
-	 * Validation message. Will fallback to form validator instance default message
-	 * if none is set.
+	 * Validation message. Will fallback to message for rule code in `messages` of form validator
+	 * and then to form validator instance default message if none is set.
 	 */
-	message?: String;
+	message?: Message;
+
+	/**
+	 * Label of field, used in message templates. Defaults to field name.
+	 */
+	label?: String;
 
 	/**
 	 * Validator method/function. Acceps string and will then resolve it to name
@@ -57,6 +179,64 @@ interface ValidationRule {
 	 * @default true
 	 */
 	skipIfEmpty?: Boolean;
+
+	/**
+	 * Declares that validator method returns a Promise. Rules returning a Promise are
+	 * detected automatically, but declaring it up front makes sure even the first
+	 * validation is debounced.
+	 */
+	async?: Boolean;
+
+	/**
+	 * Milliseconds to debounce async rule, overrides form validator `asyncDebounce`.
+	 */
+	debounce?: Number;
+
+	/**
+	 * Error code exposed in validation result when rule fails, defaults to name of rule.
+	 */
+	code?: String;
+
+	/**
+	 * Rule is only validated while condition is met.
+	 */
+	when?: RuleCondition;
+
+	/**
+	 * Field(s) that rule depends on, field is re-validated when any of them are. Values of them are
+	 * passed to rule as `dependencies`. May be a function which is invoked with args of rule.
+	 */
+	dependsOn?: String | Array<String> | ((args: Array<any>) => Array<String>);
+
+	/**
+	 * Types of args that rule takes, "number", "string" or "pattern". A type ending with `?`
+	 * is optional and one ending with `...` takes any number of args.
+	 */
+	argTypes?: Array<String>;
+
+	/**
+	 * Normalizer(s) of value before it is validated by this rule.
+	 */
+	normalize?: Normalizer;
+
+	/**
+	 * Check if value is empty, used for `skipIfEmpty`.
+	 */
+	isEmpty?: (value: any) => Boolean;
+
+	/**
+	 * Scope of rule, i.e. a step of a wizard. Defaults to scope set by `step()`, if any.
+	 */
+	scope?: String;
+}
+
+/**
+ * Rules in a JSON serializable format, see `exportRules()`.
+ */
+interface ExportedRules {
+	globalRules: Array<GlobalValidationRule>;
+	rules: Array<ValidationRule>;
+	fields: { [field: string]: Array<ValidationRule> };
 }
 
 interface FormValidator {
@@ -71,18 +251,338 @@ interface FormValidator {
 	 */
 	static clearGlobalRules();
 
+	/**
+	 * Creates a validator from rules exported by `exportRules()`, either as an object or as a JSON string.
+	 * Exported global rules are registered as form rules of the created validator, global rules are left as is.
+	 */
+	static fromJSON(json: ExportedRules | String, opts?: FormValidatorOptions): FormValidator;
+
 	/**
 	 * Creates new form validator instance with optional form validation
 	 * rules and options.
 	 */
 	new (validationRules?: Array<ValidationRule>, opts?: FormValidatorOptions);
+	new (opts: FormValidatorOptions);
+
+	/**
+	 * Registers field validations declared as a schema.
+	 */
+	registerSchema(schema: ValidationSchema): FormValidator;
+
+	/**
+	 * Exports field validations, along with global and form rules that they use, in a JSON serializable
+	 * format. Throws an error if any of them contains a function.
+	 */
+	exportRules(): ExportedRules;
 
 	/**
 	 * Validates provided form state agains registered validation rules.
 	 *
 	 * @param {Object} formState
 	 */
-	validate(formState: any): FormValidationResult;
+	validate(formState?: any, opts?: ValidateOptions): FormValidationResult;
+
+	/**
+	 * Validates a single field (and its validation group siblings), leaving other fields untouched.
+	 */
+	validateField(field: String, formState?: any, opts?: ValidateOptions): FormValidationResult;
+
+	/**
+	 * Validates provided fields (and their validation group siblings), leaving other fields untouched.
+	 */
+	validateFields(fields: Array<String>, formState?: any, opts?: ValidateOptions): FormValidationResult;
+
+	/**
+	 * Validates provided form state and resolves when all async rules have settled.
+	 */
+	validateAsync(formState?: any, opts?: ValidateOptions): Promise<FormValidationResult>;
+
+	/**
+	 * Creates a submit handler which validates all registered fields, marks them as touched
+	 * and invokes `onValid` or `onInvalid`. First invalid registered field is focused. If either of them
+	 * throws or rejects, the returned promise rejects, and when invoked with an event the error is passed
+	 * to `onError` or logged.
+	 */
+	handleSubmit(
+		onValid: (formState: any, result: FormValidationResult) => any,
+		onInvalid?: (result: FormValidationResult) => any,
+		onError?: (error: any) => any
+	): (event?: Object) => Promise<FormValidationResult>;
+
+	/**
+	 * Marks fields as touched, all registered fields if none are provided.
+	 */
+	setTouched(fields?: Array<String>): FormValidator;
+
+	/**
+	 * Focuses first invalid registered field, including fields of child validators.
+	 */
+	focusFirstInvalid(): Boolean;
+
+	/**
+	 * Focuses registered component of field, returns false if there is none.
+	 */
+	focusField(field: String): Boolean;
+
+	/**
+	 * If field has a registered component which can be focused, in this or an attached child validator.
+	 */
+	canFocus(field: String): Boolean;
+
+	/**
+	 * Validation result in a structured form, which is easier to list errors from.
+	 */
+	readonly validationSummary: ValidationSummary;
+
+	/**
+	 * Same as `validationSummary`.
+	 */
+	getValidationSummary(): ValidationSummary;
+
+	/**
+	 * If field has a `required` or `checked` rule whose condition, if any, is met.
+	 */
+	isRequired(field: String): Boolean;
+
+	/**
+	 * Returns id of the element which renders validation message of field.
+	 */
+	getMessageId(field: String): String;
+
+	/**
+	 * Returns ARIA attributes for input of field, which is described by its message while invalid.
+	 */
+	getAriaProps(field: String, describedBy?: String): AriaProps;
+
+	/**
+	 * Declares scope, i.e. a step of a wizard, which fields are registered into by their `scope`.
+	 */
+	declareScope(name: String, opts?: ScopeOptions): FormValidator;
+
+	/**
+	 * Declares scope and sets it as scope that fields without a scope of their own, which are registered
+	 * after this, are registered into.
+	 */
+	step(name: String | undefined, opts?: ScopeOptions): FormValidator;
+
+	/**
+	 * If rules of scope are kept when fields unmount.
+	 */
+	isPersistentScope(scope: String): Boolean;
+
+	/**
+	 * Returns names of fields with rules in scope.
+	 */
+	getScopeFields(scope: String): Array<String>;
+
+	/**
+	 * Validates all fields of scope, including untouched ones, and returns result of them.
+	 */
+	validateScope(scope: String, form?: any): FormValidationResult;
+
+	/**
+	 * Same as `validateScope()` but resolves once all async rules have settled.
+	 */
+	validateScopeAsync(scope: String, form?: any): Promise<FormValidationResult>;
+
+	/**
+	 * Returns validation result of fields in scope.
+	 */
+	getScopeResult(scope: String): FormValidationResult;
+
+	/**
+	 * Returns names of declared scopes which have invalid fields.
+	 */
+	getInvalidScopes(): Array<String>;
+
+	/**
+	 * Keeps form state in an external store rather than in validator.
+	 */
+	connectStore(store: FormStore): FormValidator;
+
+	/**
+	 * Attaches a child validator whose fields are namespaced under `prefix`. Child shares form state
+	 * at `prefix`, is validated along with this validator and its results are merged into validation result.
+	 */
+	attachChild(prefix: String, child: FormValidator): FormValidator;
+
+	/**
+	 * Detaches a child validator, which keeps a copy of its current form state.
+	 */
+	detachChild(child: FormValidator): FormValidator;
+
+	/**
+	 * Clears touched state of all fields.
+	 */
+	resetTouched(): FormValidator;
+
+	/**
+	 * Captures initial value of field, used to determine if field is dirty.
+	 */
+	setInitialValue(name: String, value: any): FormValidator;
+
+	/**
+	 * If field, or any field if none is provided, has been touched.
+	 */
+	isTouched(field?: String): Boolean;
+
+	/**
+	 * If field, or any field if none is provided, differs from its initial value.
+	 */
+	isDirty(field?: String): Boolean;
+
+	/**
+	 * Opposite of `isDirty()`.
+	 */
+	isPristine(field?: String): Boolean;
+
+	/**
+	 * Returns touched, dirty and pristine state of field, or of form if no field is provided.
+	 */
+	getFieldState(field?: String): FieldState;
+
+	/**
+	 * Clears validation result and touched state. Form state is either set to `initialState`
+	 * or restored from captured initial values.
+	 */
+	reset(initialState?: any): FormValidator;
+
+	/**
+	 * Subscribes to changes of validation result and state of a single field.
+	 * Returns function which unsubscribes listener.
+	 */
+	subscribeField(field: String, listener: (field: String) => any): () => void;
+
+	/**
+	 * Subscribes to changes of any field in form. Returns function which unsubscribes listener.
+	 */
+	subscribeForm(listener: (fields: Array<String>) => any): () => void;
+
+	/**
+	 * Subscribes to an event of validator, returns function which unsubscribes listener.
+	 */
+	on<E extends keyof ValidatorEvents>(event: E, listener: (payload: ValidatorEvents[E]) => any): () => void;
+
+	/**
+	 * Subscribes to all events of validator, returns function which unsubscribes listener.
+	 */
+	subscribe(listener: <E extends keyof ValidatorEvents>(event: E, payload: ValidatorEvents[E]) => any): () => void;
+
+	/**
+	 * Invokes listeners of event.
+	 */
+	emit<E extends keyof ValidatorEvents>(event: E, payload: ValidatorEvents[E]): void;
+
+	/**
+	 * Resolves and formats message of a failing rule.
+	 */
+	formatMessage(rule: ValidationRule, context?: Object): String;
+
+	/**
+	 * Switches locale and re-formats messages of invalid fields.
+	 */
+	setLocale(locale: String): FormValidator;
+
+	/**
+	 * Notifies subscribers of fields that have changed since last notification,
+	 * or all subscribers if `force` is set.
+	 */
+	reRenderForm(force?: Boolean);
+
+	/**
+	 * Resolves with validation result when there are no more pending async validations.
+	 */
+	whenValidated(): Promise<FormValidationResult>;
+
+	/**
+	 * If async validation is in progress for field or, if omitted, for any field.
+	 */
+	isValidating(field?: String): Boolean;
+
+	/**
+	 * If condition of rule is met, rules without condition are always active.
+	 */
+	isRuleActive(rule: ValidationRule, formState?: any): Boolean;
+
+	/**
+	 * If value is empty, which decides if rules with `skipIfEmpty` are skipped.
+	 */
+	isEmpty(value: any): Boolean;
+
+	/**
+	 * Sets value of change event on form state. A custom widget may pass a value rather than
+	 * an event, and then `name` has to be provided.
+	 */
+	setInputValue(event: any, name?: String): FormValidator;
+
+	/**
+	 * Sets value of field on form state.
+	 */
+	setFieldValue(name: String, value: any): FormValidator;
+
+	/**
+	 * Sets errors on fields, i.e. returned by server. A field stays invalid with these errors,
+	 * regardless of its rules, until its value changes. Errors have code `server`.
+	 */
+	setErrors(errors: { [field: string]: Message | Array<Message> }): FormValidator;
+
+	/**
+	 * Sets error(s) on a single field, see `setErrors()`.
+	 */
+	setFieldError(field: String, message: Message | Array<Message>): FormValidator;
+
+	/**
+	 * Maps an error response from API, using `mapErrors` option, and sets field and form errors.
+	 */
+	setApiErrors(response: any): FormValidator;
+
+	/**
+	 * Sets errors that are not related to a specific field. They are cleared on submit and reset.
+	 */
+	setFormErrors(errors: Array<String>): FormValidator;
+
+	/**
+	 * Returns errors that are not related to a specific field.
+	 */
+	getFormErrors(): Array<String>;
+
+	/**
+	 * Clears all errors set by `setErrors()` and `setFormErrors()`.
+	 */
+	clearErrors(): FormValidator;
+
+	/**
+	 * Returns validation result of field, path may use bracket notation, e.g. `contacts[0].email`.
+	 */
+	getFieldResult(field: String): FieldValidationResult | undefined;
+
+	/**
+	 * Inserts item into array at `path`, at end if `index` is omitted. Validation result and
+	 * state of following rows are moved along.
+	 */
+	insertRow(path: String, item: any, index?: Number): FormValidator;
+
+	/**
+	 * Removes item at `index` from array at `path` and re-indexes following rows.
+	 */
+	removeRow(path: String, index: Number): FormValidator;
+
+	/**
+	 * Moves item of array at `path` and re-indexes affected rows.
+	 */
+	moveRow(path: String, from: Number, to: Number): FormValidator;
+
+	/**
+	 * Moves registration of a component when its field name has changed.
+	 */
+	renameComponent(component: any, previousName: String): FormValidator;
+}
+
+interface ValidateOptions {
+	/**
+	 * If to validate fields that has no value in form as empty, by default those are skipped.
+	 */
+	includeUndefined?: Boolean;
 }
 
 interface FormValidationResult {
@@ -94,20 +594,422 @@ interface FieldValidationResult {
 	isInvalid: Boolean;
 	message: String;
 	groupId?: String;
+	isPending?: Boolean;
+	/**
+	 * Name of (first) failing rule.
+	 */
+	rule?: String;
+	/**
+	 * Error code of (first) failing rule.
+	 */
+	code?: String;
+	/**
+	 * Errors of failing rules, only first one unless `collectAllErrors` is set.
+	 */
+	errors?: Array<ValidationError>;
+}
+
+interface ValidationSummary {
+	isValid: Boolean;
+	isValidating: Boolean;
+	/**
+	 * Results mapped by field.
+	 */
+	fields: { [field: string]: FieldValidationResult };
+	/**
+	 * Errors of all invalid fields, ordered as fields are registered.
+	 */
+	errors: Array<ValidationError & { field: String; label?: String }>;
+	errorCount: Number;
+	/**
+	 * Errors which are not related to a specific field.
+	 */
+	formErrors: Array<String>;
+}
+
+interface ValidationError {
+	rule?: String;
+	code?: String;
+	message: String;
+}
+
+interface FieldState {
+	touched: Boolean;
+	dirty: Boolean;
+	pristine: Boolean;
 }
 
 interface BindValue {
-	(path: String, value: any, targetObj: Object);
+	/**
+	 * Returns copy of `targetObj` with value set at path. Only objects and arrays along the
+	 * path are copied, everything else is shared with `targetObj`.
+	 */
+	<T = any>(path: String, value: any, targetObj: T): T;
 }
 
 interface BindInputValue {
-	(event: Object, formState: any);
+	/**
+	 * Binds value of event target, read depending on type of input, to form state. A custom widget
+	 * may pass a value rather than an event, and then `name` has to be provided.
+	 */
+	<T = any>(event: any, formState: T, name?: String): T;
 }
 
+/**
+ * Returns value of event target depending on type of input, i.e. an array of selected options of a
+ * select-multiple. Values that are not events are returned as is.
+ */
+export function getInputValue(event: any, currentValue?: any): any;
+
 export const FormValidator: FormValidator;
 
 export const bindInputValue: BindInputValue;
 
 export const bindValue: BindValue;
 
-export const withValidation: Function;
+/**
+ * Converts bracket notation to dot notation, e.g. `contacts[0].email` to `contacts.0.email`.
+ */
+export function normalizePath(path: String): String;
+
+/**
+ * Returns copy of `targetObj` with `item` inserted into array at `path`.
+ */
+export function pushValue(path: String, item: any, targetObj: Object, index?: Number): any;
+
+/**
+ * Returns copy of `targetObj` with item at `index` removed from array at `path`.
+ */
+export function removeValue(path: String, index: Number, targetObj: Object): any;
+
+/**
+ * Returns copy of `targetObj` with item of array at `path` moved from `from` to `to`.
+ */
+export function moveValue(path: String, from: Number, to: Number, targetObj: Object): any;
+
+/**
+ * Maps common shapes of API error responses, such as `{ errors: { field: "message" } }`,
+ * `{ errors: [{ field, message }] }` and JSON:API errors, to field and form errors.
+ */
+export function mapApiErrors(response: any): MappedErrors;
+
+export const actionTypes: {
+	SET_FIELD_VALUE: String;
+	SET_VALUES: String;
+	SET_VALIDATION_RESULT: String;
+};
+
+interface FormAction {
+	type: String;
+	form?: String;
+	[key: string]: any;
+}
+
+/**
+ * Action creators of actions handled by reducers created with `createFormReducer()`.
+ */
+export const formActions: {
+	setFieldValue(field: String, value: any, form?: String): FormAction;
+	setValues(values: any, form?: String): FormAction;
+	setValidationResult(result: FormValidationResult | null, form?: String): FormAction;
+};
+
+interface FormReducerState {
+	values: any;
+	validationResult: FormValidationResult | null;
+}
+
+/**
+ * Creates a reducer which keeps values and validation result of a form.
+ */
+export function createFormReducer(
+	form?: String,
+	initialValues?: any
+): (state: FormReducerState | undefined, action: FormAction) => FormReducerState;
+
+interface StoreAdapterOptions {
+	/**
+	 * Name of form, if there are several forms in store.
+	 */
+	form?: String;
+
+	/**
+	 * Selects state of form reducer from state of store.
+	 */
+	selectForm?: (state: any) => FormReducerState;
+
+	/**
+	 * If to dispatch validation result to store as well.
+	 * @default true
+	 */
+	storeValidationResult?: Boolean;
+}
+
+/**
+ * Creates a store adapter for a Redux store, for FormValidator option `store`.
+ */
+export function createStoreAdapter(
+	store: { getState(): any; dispatch(action: FormAction): any },
+	opts?: StoreAdapterOptions
+): FormStore;
+
+/**
+ * Default check if a value is empty.
+ */
+export function isEmptyValue(value: any): Boolean;
+
+/**
+ * Built-in normalizers mapped by name, more can be added.
+ */
+export const normalizers: { [name: string]: (value: any) => any };
+
+interface FormStore {
+	/**
+	 * Returns form state from store.
+	 */
+	getFormState(): any;
+
+	/**
+	 * Invoked with updated form state, i.e. when an input changes.
+	 */
+	setFormState(formState: any): any;
+
+	/**
+	 * Invoked with a copy of validation result when it changes, and with null when form is reset.
+	 */
+	setValidationResult?(result: FormValidationResult | null): any;
+}
+
+interface ValidatorEvents {
+	/**
+	 * Validation result has changed.
+	 */
+	validate: {
+		result: FormValidationResult;
+		previousResult: FormValidationResult | null;
+		isValid: Boolean;
+		/**
+		 * Fields whose result has changed.
+		 */
+		changes: Array<{ field: String; value: any; previous?: FieldValidationResult; next?: FieldValidationResult }>;
+	};
+
+	/**
+	 * Value of a field has changed.
+	 */
+	fieldChange: { field: String; value: any; previousValue: any };
+
+	/**
+	 * A submitted form has been validated.
+	 */
+	submit: { formState: any; result: FormValidationResult; isValid: Boolean };
+
+	/**
+	 * Rules of a field have been registered.
+	 */
+	register: { field: String; component?: any };
+
+	/**
+	 * Component of a field has unmounted, rules are kept if `retained`.
+	 */
+	unregister: { field: String; component: any; retained: Boolean };
+
+	/**
+	 * Form has been reset.
+	 */
+	reset: { formState: any };
+}
+
+interface ScopeOptions {
+	/**
+	 * If to keep rules, validation result and state of fields when they unmount.
+	 * @default false
+	 */
+	persist?: Boolean;
+}
+
+interface AriaProps {
+	"aria-invalid": Boolean;
+	"aria-required"?: Boolean;
+	"aria-describedby"?: String;
+}
+
+interface WithValidationOptions {
+	/**
+	 * If to pass validator to composed component.
+	 */
+	passValidator?: Boolean;
+
+	/**
+	 * If to pass ARIA attributes and `validationMessageId` to composed component.
+	 */
+	aria?: Boolean;
+}
+
+export function withValidation<P>(
+	component: React.ComponentType<P>,
+	options?: WithValidationOptions
+): React.ComponentType<any>;
+
+interface ValidatedFieldOptions {
+	/**
+	 * The FormValidator instance.
+	 */
+	validator?: FormValidator;
+
+	/**
+	 * Which event(s) to validate on, "blur" and/or "change".
+	 * @default "blur"
+	 */
+	validateOn?: String | Array<String>;
+
+	/**
+	 * Value of field.
+	 */
+	value?: any;
+
+	/**
+	 * Custom validation message, overrides message of rule(s).
+	 */
+	validationMessage?: Message;
+
+	/**
+	 * Label of field, used in message templates.
+	 */
+	label?: String;
+
+	/**
+	 * Optional validation group id.
+	 */
+	validationGroup?: String;
+
+	/**
+	 * Rules are only validated while condition is met.
+	 */
+	validateWhen?: RuleCondition;
+
+	/**
+	 * Normalizer(s) of value before it is validated.
+	 */
+	normalize?: Normalizer;
+
+	/**
+	 * Check if value is empty.
+	 */
+	isEmpty?: (value: any) => Boolean;
+
+	/**
+	 * Scope that field is registered into, i.e. a step of a wizard.
+	 */
+	scope?: String;
+
+	/**
+	 * If to include ARIA attributes in `bind`.
+	 */
+	aria?: Boolean;
+
+	onChange?: (event: any) => any;
+
+	onBlur?: (event: any) => any;
+}
+
+interface ValidatedField extends FieldState {
+	/**
+	 * Props to spread onto input element.
+	 */
+	bind: {
+		name: String;
+		value: any;
+		onChange: (event: any) => any;
+		onBlur: (event: any) => any;
+		ref: React.RefObject<any>;
+	} & Partial<AriaProps>;
+	/**
+	 * Id of validation message, see `ValidationMessage`.
+	 */
+	messageId?: String;
+	validationResult?: FieldValidationResult;
+	isInvalid?: Boolean;
+	validationMessage?: String;
+	isValidating: Boolean;
+}
+
+export function useFormValidator(validationRules?: Array<ValidationRule>, opts?: FormValidatorOptions): FormValidator;
+
+export function useValidatedField(
+	name: String,
+	validate: String | Array<any> | Function | ValidationRule,
+	opts?: ValidatedFieldOptions
+): ValidatedField;
+
+interface ValidationFormProps extends Omit<React.FormHTMLAttributes<HTMLFormElement>, "onSubmit" | "onInvalid"> {
+	/**
+	 * The FormValidator instance, provided to all fields within form.
+	 */
+	validator: FormValidator;
+
+	/**
+	 * Invoked with form state and validation result when a valid form is submitted.
+	 */
+	onSubmit?: (formState: any, result: FormValidationResult) => any;
+
+	/**
+	 * Invoked with validation result when an invalid form is submitted.
+	 */
+	onInvalid?: (result: FormValidationResult) => any;
+
+	/**
+	 * Invoked with error when `onSubmit` or `onInvalid` throws or rejects, which is logged by default.
+	 */
+	onError?: (error: any) => any;
+}
+
+export const ValidationForm: React.ComponentType<ValidationFormProps>;
+
+interface ValidationSummaryProps extends React.HTMLAttributes<HTMLDivElement> {
+	/**
+	 * The FormValidator instance, defaults to one provided by `ValidationForm`.
+	 */
+	validator?: FormValidator;
+
+	/**
+	 * Heading of summary.
+	 * @default "There is a problem"
+	 */
+	title?: React.ReactNode;
+}
+
+/**
+ * Renders an accessible list of errors in form, with buttons that focus each registered field.
+ */
+export const ValidationSummary: React.ComponentType<ValidationSummaryProps>;
+
+interface ValidationMessageRenderProps {
+	message: String;
+	isInvalid: Boolean;
+	validationResult?: FieldValidationResult;
+}
+
+interface ValidationMessageProps extends Omit<React.HTMLAttributes<HTMLSpanElement>, "children"> {
+	/**
+	 * Name of field.
+	 */
+	name: String;
+
+	/**
+	 * The FormValidator instance, defaults to one provided by `ValidationForm`.
+	 */
+	validator?: FormValidator;
+
+	/**
+	 * Renders content of message.
+	 */
+	children?: (props: ValidationMessageRenderProps) => React.ReactNode;
+}
+
+/**
+ * Renders validation message of field in a live region, with the id that field is described by.
+ */
+export const ValidationMessage: React.ComponentType<ValidationMessageProps>;
+
+export const ValidatorContext: React.Context<FormValidator | null>;
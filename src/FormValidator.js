@@ -1,11 +1,29 @@
-import { Component } from "react";
 import validator from "validator";
-import { bindValue } from "./form-utils";
+import {
+	bindInputValue,
+	bindValue,
+	expandPath,
+	fillWildcards,
+	isEqual,
+	isInputEvent,
+	moveValue,
+	normalizePath,
+	pushValue,
+	removeValue
+} from "./form-utils";
 import objectPath from "object-path";
-import { bindInputValue } from "./index";
+import { interpolate, resolveMessage } from "./messages";
+import { checkArgs, checkMethod, parseArray, serializeRule, toFieldValidations, toSerializable } from "./rule-utils";
+import { defaultRules } from "./rules";
+import { isEmptyValue, resolveNormalizer, toValidatorString } from "./value-utils";
+import { mapApiErrors } from "./error-mappers";
 
 const DEBUG = 0;
 
+let validatorCount = 0;
+
+const isPromise = value => !!value && typeof value.then === "function";
+
 /**
  * Helper component to validate form inputs
  *
@@ -18,11 +36,17 @@ export default class FormValidator {
 	 */
 	static globalRules = {};
 
+	/**
+	 * Built-in rules, available for all forms unless overridden by a global or form rule.
+	 */
+	static defaultRules = defaultRules.reduce((rules, rule) => ({ ...rules, [rule.name]: rule }), {});
+
 	/**
 	 * Registers global rules which will be available for all
 	 */
 	static registerGlobalRules = (rules = []) => {
 		rules.forEach(rule => {
+			checkMethod(rule);
 			FormValidator.globalRules[rule.name] = rule;
 		});
 	};
@@ -34,12 +58,29 @@ export default class FormValidator {
 		FormValidator.globalRules = {};
 	};
 
+	/**
+	 * Creates a validator from rules exported by `exportRules()`, either as an object or as a JSON string.
+	 * Exported global rules are registered as form rules of the created validator, global rules are left as is.
+	 *
+	 * @param {Object|String} json
+	 * @param {Object=} opts same options as for constructor
+	 */
+	static fromJSON = (json, opts = {}) => {
+		const { globalRules = [], rules = [], fields = {} } = typeof json === "string" ? JSON.parse(json) : json;
+
+		return new FormValidator({
+			...opts,
+			rules: [...globalRules, ...rules, ...(opts.rules || [])],
+			schema: { ...fields, ...opts.schema }
+		});
+	};
+
 	/**
 	 * Array containing validation rules that are available to use for this
 	 * validator instance. Will override any existing rule that already exist
 	 * amongs global validation rules.
 	 */
-	formRules = { ...FormValidator.globalRules };
+	formRules = { ...FormValidator.defaultRules, ...FormValidator.globalRules };
 
 	/**
 	 * Array containing all declared validations mapped to fields.
@@ -56,71 +97,320 @@ export default class FormValidator {
 
 	formComponents = new Map();
 
+	/**
+	 * Listeners subscribed to changes of a field, mapped by field name.
+	 */
+	fieldListeners = new Map();
+
+	/**
+	 * Listeners subscribed to changes of any field.
+	 */
+	formListeners = new Set();
+
+	/**
+	 * Last notified validation result and state of each field, used to
+	 * decide which fields that have changed.
+	 */
+	fieldSnapshots = {};
+
+	/**
+	 * Async validations currently in flight (or debounced), mapped by field.
+	 */
+	pendingValidations = {};
+
+	/**
+	 * Fields that user has interacted with (or that has been marked by submit).
+	 */
+	touched = {};
+
+	/**
+	 * Initial field values, used to decide if field is dirty.
+	 */
+	initialValues = {};
+
+	/**
+	 * Rule and validation context of each error, used to re-format messages when locale changes.
+	 */
+	errorSources = new WeakMap();
+
+	/**
+	 * Errors set by `setErrors()`, i.e. returned by server, mapped by field. Each has the value of field
+	 * when errors were set, as they are kept until it changes, and the result that was last applied.
+	 */
+	externalErrors = {};
+
+	/**
+	 * Errors which are not related to a specific field, i.e. returned by server.
+	 */
+	formErrors = [];
+
+	/**
+	 * Prefix of element ids generated for fields, unique per validator instance.
+	 */
+	idPrefix = "validator-" + ++validatorCount;
+
+	/**
+	 * Options of scopes declared by `declareScope()`, or implicitly by fields registered into them,
+	 * mapped by name, in order of declaration.
+	 */
+	scopes = {};
+
+	/**
+	 * Scope which fields without a scope of their own are registered into, see `step()`.
+	 */
+	currentScope = undefined;
+
+	/**
+	 * Child validators attached by `attachChild()`, with the path that their fields are namespaced under
+	 * and fields of last merged result.
+	 * @type {Array<{ prefix: String, validator: FormValidator, fields: Array<String>, unsubscribe: Function }>}
+	 */
+	children = [];
+
+	/**
+	 * Listeners of events, mapped by event, see `on()`.
+	 */
+	eventListeners = new Map();
+
+	/**
+	 * Copy of validation result as of last `validate` event, used to find out which fields have changed.
+	 */
+	emittedResult = null;
+
 	/**
 	 *
 	 * @param {Array<Object>} validationRules form validation rules
 	 * @param {Object} opts
 	 * @param {Boolean} opts.convertNumberToString if to convert field values that are numbers to string before validation
-	 * @param {String} opts.defaultMessage default error message
+	 * @param {String|Function|Object} opts.defaultMessage default error message
+	 * @param {Number} opts.asyncDebounce ms to debounce async rules, unless rule sets its own `debounce`
+	 * @param {Boolean} opts.collectAllErrors if to collect errors of all failing rules of a field, instead of
+	 * stopping at first failing rule
+	 * @param {String} opts.locale current locale, used to pick messages
+	 * @param {Object} opts.messages message templates mapped by locale and rule code, i.e. `{ sv: { required: "..." } }`
+	 * @param {Function} opts.translate translator which is invoked with message and message context
+	 * @param {Object} opts.schema field validations mapped by field, see `registerSchema()`
+	 * @param {String|Function|Array} opts.normalize normalizer(s) applied to values of all fields before
+	 * validation, before any normalizer of rule. I.e. `"trim"`, see `normalizers` for built-in ones
+	 * @param {Function} opts.isEmpty check if a value is empty, replaces `isEmpty()` for all fields
+	 * @param {Function} opts.mapErrors maps an API error response to field and form errors, see `setApiErrors()`
+	 * @param {Object} opts.store external store that form state is kept in, see `connectStore()`
+	 * @param {Object} opts.scopes options of scopes mapped by name, i.e. `{ address: { persist: true } }`,
+	 * see `declareScope()`
+	 *
+	 * Options may also be passed as only argument, with validation rules set as `opts.rules`.
 	 */
-	constructor(validationRules = [], { convertNumberToString = true, defaultMessage = "Invalid" } = {}) {
+	constructor(validationRules = [], opts = {}) {
+		if (!Array.isArray(validationRules)) {
+			opts = validationRules;
+			validationRules = opts.rules || [];
+		}
+
+		const {
+			convertNumberToString = true,
+			defaultMessage = "Invalid",
+			asyncDebounce = 250,
+			collectAllErrors = false,
+			locale,
+			messages = {},
+			translate,
+			schema,
+			normalize,
+			isEmpty,
+			mapErrors = mapApiErrors,
+			store,
+			scopes = {}
+		} = opts;
+
 		this.registerFormRules(validationRules);
 		this.convertNumberToString = convertNumberToString;
 		this.defaultMessage = defaultMessage;
+		this.asyncDebounce = asyncDebounce;
+		this.collectAllErrors = collectAllErrors;
+		this.locale = locale;
+		this.messages = messages;
+		this.translate = translate;
+		this.normalize = resolveNormalizer(normalize);
+		this.mapErrors = mapErrors;
+
+		if (isEmpty) {
+			this.isEmpty = isEmpty;
+		}
+
+		Object.keys(scopes).forEach(name => this.declareScope(name, scopes[name]));
+
+		if (store) {
+			this.connectStore(store);
+		}
+
+		if (schema) {
+			this.registerSchema(schema);
+		}
 	}
 
 	/**
 	 * Validates provided form state agains registered validation rules.
 	 *
+	 * Rules that return a Promise (or are declared with `async: true`) are run after all
+	 * synchronous rules for that field have passed. Until they settle the field result
+	 * is flagged with `isPending` and the form is not considered valid.
+	 *
 	 * @param {Object=} form
+	 * @param {Object=} opts
+	 * @param {Boolean} opts.includeUndefined if to validate fields that has no value in form as empty,
+	 * by default those are skipped
 	 */
-	validate(form = this.formState) {
-		const validation = this.validationResult || this.valid();
+	validate(form = this.formState, opts) {
+		this.children.forEach(child =>
+			child.validator.validate(this.getPropertyByPath(form, child.prefix) || {}, opts)
+		);
+
+		return this.validateRules(
+			this.getExpandedValidations(form),
+			form,
+			this.validationResult || this.valid(),
+			opts
+		);
+	}
+
+	/**
+	 * Validates a single field, see `validateFields()`.
+	 *
+	 * @param {String} field
+	 * @param {Object=} form
+	 * @param {Object=} opts same as for `validate()`
+	 */
+	validateField(field, form = this.formState, opts) {
+		return this.validateFields([field], form, opts);
+	}
+
+	/**
+	 * Validates provided fields only, and fields that are in the same validation group as
+	 * any of them. Result is merged into validation result, leaving other fields untouched.
+	 *
+	 * Fields with rules that depend on any of the provided fields, either by `dependsOn` or by
+	 * a `when` condition, are re-validated as well if they have been validated before.
+	 *
+	 * @param {Array<String>} fields
+	 * @param {Object=} form
+	 * @param {Object=} opts same as for `validate()`
+	 */
+	validateFields(fields, form = this.formState, opts) {
+		fields = fields.map(normalizePath);
+
+		this.children.forEach(child => {
+			const childFields = fields.filter(field => this.getChildField(child, field) !== undefined);
+
+			if (childFields.length) {
+				child.validator.validateFields(
+					childFields.map(field => this.getChildField(child, field)),
+					this.getPropertyByPath(form, child.prefix) || {},
+					opts
+				);
+			}
+		});
+
+		const expandedValidations = this.getExpandedValidations(form);
+		const dependentFields = expandedValidations
+			.filter(rule => !fields.includes(rule.field) && this.getFieldResult(rule.field))
+			.filter(
+				rule =>
+					typeof rule.when === "function" ||
+					fields.includes(this.getWhenField(rule)) ||
+					(rule.dependsOn || []).some(field => fields.includes(field))
+			)
+			.map(rule => rule.field);
+
+		fields = [...fields, ...dependentFields];
+
+		const groupIds = expandedValidations
+			.filter(rule => rule.groupId && fields.includes(rule.field))
+			.map(rule => rule.groupId);
+
+		const rules = expandedValidations.filter(
+			rule => fields.includes(rule.field) || groupIds.includes(rule.groupId)
+		);
+
+		return this.validateRules(rules, form, this.validationResult || { isValid: true }, opts);
+	}
+
+	validateRules(rules, form, validation, { includeUndefined = false } = {}) {
 		const invalidFieldsInValidationAttempt = {};
+		const asyncChecks = {};
+		const validatedFields = {};
 
-		this.fieldValidations.forEach(rule => {
+		rules.forEach(rule => {
 			let fieldValue = this.getPropertyByPath(form, rule.field);
 
 			if (fieldValue !== undefined) {
-				this.formState = bindValue(rule.field, fieldValue, this.formState);
+				if (form !== this.formState) {
+					this.formState = bindValue(rule.field, fieldValue, this.formState);
+				}
+			} else if (includeUndefined) {
+				fieldValue = "";
+			}
+
+			if (fieldValue !== undefined) {
+				validatedFields[rule.field] = true;
 			}
 
-			if (!invalidFieldsInValidationAttempt[rule.field] && fieldValue !== undefined) {
-				fieldValue =
-					typeof fieldValue === "number" && this.convertNumberToString ? fieldValue + "" : fieldValue;
+			const isAlreadyInvalid = !!invalidFieldsInValidationAttempt[rule.field];
+
+			if (!this.isRuleActive(rule, form)) {
+				// Condition of rule is not met, clear any error that it has left behind
+				if (!isAlreadyInvalid && (fieldValue !== undefined || validation[rule.field])) {
+					validation[rule.field] = { isInvalid: false, message: "" };
+					validatedFields[rule.field] = true;
+				}
+				return;
+			}
+
+			if ((!isAlreadyInvalid || this.collectAllErrors) && fieldValue !== undefined) {
+				fieldValue = this.normalizeValue(
+					rule,
+					typeof fieldValue === "number" && this.convertNumberToString ? fieldValue + "" : fieldValue
+				);
 
-				const validationMethod = this.getValidationFunction(rule);
 				const args = rule.args || [];
-				const isEmpty = this.isEmpty(fieldValue);
-				const skip = isEmpty && rule.skipIfEmpty;
+				const isEmpty = rule.isEmpty || this.isEmpty;
+				const skip = isEmpty(fieldValue) && rule.skipIfEmpty;
 				const group = this.getGroupSibblingValues(rule, this.formState);
+				const dependencies = (rule.dependsOn || []).map(field => this.getPropertyByPath(form, field));
+				const context = { value: fieldValue, args, form: this.formState, group, dependencies, isEmpty };
+
+				if (!skip && rule.async) {
+					// Deferred, will be invoked once all synchronous rules for field have passed
+					asyncChecks[rule.field] = [...(asyncChecks[rule.field] || []), { rule, context }];
+					return;
+				}
+
+				const result = skip ? rule.validWhen : this.getValidationFunction(rule)(context);
 
-				if (
-					!skip &&
-					validationMethod({ value: fieldValue, args, form: this.formState, group }) !== rule.validWhen
-				) {
-					const fieldValidationResult = {
-						isInvalid: true,
-						message: rule.message || this.defaultMessage,
-						groupId: rule.groupId
-					};
-					validation[rule.field] = fieldValidationResult;
+				if (isPromise(result)) {
+					// Remember that rule is async so that it can be debounced on next validation. Set on
+					// declared rule, since rules expanded from a wildcard rule are copies made per validation
+					(rule.sourceRule || rule).async = true;
+					asyncChecks[rule.field] = [...(asyncChecks[rule.field] || []), { rule, context, result }];
+				} else if (result !== rule.validWhen) {
+					this.setInvalid(validation, rule, context, isAlreadyInvalid);
 					invalidFieldsInValidationAttempt[rule.field] = true;
-				} else {
-					validation[rule.field] = { isInvalid: false, message: "" };
-					if (rule.groupId) {
-						Object.keys(validation).forEach(k => {
-							if (rule.groupId === validation[k].groupId) {
-								validation[k] = { isInvalid: false, message: "" };
-							}
-						});
-					}
+				} else if (!isAlreadyInvalid) {
+					this.setValid(validation, rule);
 				}
 			}
 		});
 
-		// Check if at least one validation failure exists, if so fail validation
-		validation.isValid = !Object.keys(validation).some(key => validation[key].isInvalid);
+		Object.keys(validatedFields).forEach(field => {
+			if (asyncChecks[field] && !invalidFieldsInValidationAttempt[field]) {
+				validation[field] = this.validateFieldAsync(field, asyncChecks[field]);
+			} else {
+				this.cancelAsyncValidation(field);
+			}
+		});
+
+		this.mergeChildResults(validation);
+		this.applyExternalErrors(validation);
+		this.updateIsValid(validation);
 
 		this.validationResult = validation;
 
@@ -129,169 +419,1824 @@ export default class FormValidator {
 		return validation;
 	}
 
-	valid() {
-		const validation = {};
-		this.fieldValidations.forEach(rule => (validation[rule.field] = { isInvalid: false, message: "" }));
-		return { isValid: true, ...validation };
+	/**
+	 * If condition of rule, set as `when` on field validation, is met. Rules without
+	 * a condition are always active.
+	 *
+	 * @param {Object} rule
+	 * @param {Object=} form
+	 */
+	isRuleActive(rule, form = this.formState) {
+		const { when } = rule;
+
+		if (!when) return true;
+
+		if (typeof when === "function") {
+			return !!when(form, { field: rule.field, wildcards: rule.wildcards });
+		}
+
+		const value = this.getPropertyByPath(form, this.getWhenField(rule));
+
+		if (typeof when.is === "function") return !!when.is(value, form);
+		if (Array.isArray(when.is)) return when.is.some(is => isEqual(is, value));
+		return isEqual(when.is, value);
 	}
 
 	/**
-	 * Registers form validation rules available to use in this form validator instance.
-	 * @param {Array} rules
+	 * Returns controlling field of conditional rule, resolved to the same array row
+	 * as the rule if it is a wildcard rule.
 	 */
-	registerFormRules(rules) {
-		rules.forEach(rule => {
-			if (!rule.name) {
-				throw new Error("Missing validation rule name for: " + JSON.stringify(rule || {}));
-			}
+	getWhenField(rule) {
+		return rule.when && rule.when.field ? fillWildcards(rule.when.field, rule.wildcards) : undefined;
+	}
 
-			this.formRules[rule.name] = rule;
-		});
-		return this;
+	/**
+	 * Same as `validate()` but returns a promise which resolves with validation result
+	 * once all async rules has settled. Any debounced async rules are invoked immediately.
+	 *
+	 * @param {Object=} form
+	 * @param {Object=} opts same as for `validate()`
+	 * @returns {Promise<Object>}
+	 */
+	validateAsync(form = this.formState, opts) {
+		this.validate(form, opts);
+		return this.whenValidated();
 	}
 
 	/**
-	 * Registers field validations.
+	 * Creates a submit handler which validates all registered fields, including those that
+	 * user has not yet touched, and invokes `onValid` or `onInvalid` depending on outcome.
 	 *
-	 * Each field validation contains the following:
+	 * If form is invalid, the first invalid registered component will be focused.
 	 *
-	 * - A `field` attribute which identifies which form field this validation is for
-	 * - An option `name` attribute which is the name of the vadation rule that exists in global or form registry
-	 * - It may optionally contain the validation rule directly here, in that case `name` should not be set
+	 * Example:
 	 *
-	 * @param {Array} fieldValidations
-	 * @param {Component=} component
+	 * ```
+	 * <form onSubmit={validator.handleSubmit(user => save(user))}>
+	 * ```
+	 *
+	 * Returned promise rejects if `onValid` or `onInvalid` throws or rejects, i.e. when saving fails.
+	 * Since event handlers discard that promise, the error is passed to `onError` when handler is
+	 * invoked with an event, or logged if there is no `onError`.
+	 *
+	 * @param {Function} onValid invoked with form state and validation result if form is valid
+	 * @param {Function=} onInvalid invoked with validation result if form is invalid
+	 * @param {Function=} onError invoked with error of `onValid` or `onInvalid` when handling an event
+	 * @returns {Function} handler which returns promise of validation result
 	 */
-	registerFieldValidations(fieldValidations, component) {
-		if (component) {
-			this.formComponents.set(component.props.name, component);
-		}
-
-		fieldValidations.forEach(rule => {
-			this.log(
-				`Registering field validation rule ${rule.name} for field ${rule.field} ${
-				rule.groupId ? "(group " + rule.groupId + ")" : ""
-				}`
-			);
+	handleSubmit(onValid, onInvalid, onError) {
+		return event => {
+			if (event && event.preventDefault) {
+				event.preventDefault();
+			}
 
-			const { name, field, method, message, args = [], validWhen = true, skipIfEmpty = true, groupId } = rule;
+			this.setTouched();
+			this.setFormErrors([]);
 
-			if (!name && !field) {
-				throw new Error("Either 'name' or 'field' must be set on validation rule");
-			}
+			const submitted = this.validateAsync(this.formState, { includeUndefined: true }).then(result => {
+				this.emit("submit", { formState: this.formState, result, isValid: result.isValid });
 
-			const isAlreadyRegistered =
-				name &&
-				this.fieldValidations.some(validation => validation.field === field && validation.name === name);
+				if (result.isValid) {
+					return Promise.resolve(onValid && onValid(this.formState, result)).then(() => result);
+				}
 
-			if (!isAlreadyRegistered) {
-				const validationSpec = { ...this.formRules[name] };
+				this.focusFirstInvalid();
 
-				const fieldValidation = {
-					field,
-					groupId,
-					name,
-					message: message || validationSpec.message,
-					method: validationSpec.method || method,
-					args: validationSpec.args || args,
-					validWhen: validationSpec.validWhen !== undefined ? validationSpec.validWhen : validWhen,
-					skipIfEmpty: validationSpec.skipIfEmpty !== undefined ? validationSpec.skipIfEmpty : skipIfEmpty
-				};
+				return Promise.resolve(onInvalid && onInvalid(result)).then(() => result);
+			});
 
-				this.fieldValidations.push(fieldValidation);
+			if (event) {
+				// Handled here, rather than left as an unhandled rejection, while caller may still await it
+				submitted.catch(error => (onError ? onError(error) : console.error(error)));
 			}
-		});
-		return this;
+
+			return submitted;
+		};
 	}
 
-	getPropertyByPath(obj, path) {
-		try {
-			return objectPath.get(obj, path);
-		} catch (err) {
-			// do nothing - this happens if parent prop does not exist, which means that value is undefined
+	/**
+	 * Marks fields as touched, i.e. that user has interacted with them.
+	 * All registered fields will be marked if no fields are provided.
+	 *
+	 * @param {Array<String>=} fields
+	 */
+	setTouched(fields) {
+		if (!fields) {
+			fields = this.getExpandedValidations().map(rule => rule.field);
+			this.children.forEach(child => child.validator.setTouched());
 		}
-	}
 
-	isEmpty(value) {
-		const type = typeof value;
-		if (type === "string") return value === "";
-		else if (Array.isArray(value)) return value.length === 0;
-		else if (type === "object") return value === {};
-		else return !!value;
+		fields.forEach(field => (this.touched[normalizePath(field)] = true));
+		return this;
 	}
 
 	/**
-	 * Sets input value on validation form state.
-	 * 
-	 * @param {Object} event
+	 * Clears touched state of all fields.
 	 */
-	setInputValue(event) {
-		this.formState = bindInputValue(event, this.formState);
+	resetTouched() {
+		this.touched = {};
+		this.reRenderForm();
 		return this;
 	}
 
 	/**
+	 * Captures initial value of field, which is used to determine if field is dirty.
 	 *
-	 * @param {String} name of field, used as
+	 * @param {String} name
 	 * @param {*} value
 	 */
-	setFieldValue(name, value) {
-		this.formState = bindValue(name, value, this.formState);
+	setInitialValue(name, value) {
+		this.initialValues[normalizePath(name)] = value;
 		return this;
 	}
 
-	getValidationFunction(rule) {
-		// TODO: Method vs function, the semantic is kind of mixed - should align this
-		const method =
-			typeof rule.method === "function"
-				? rule.method
-				: ({ value, args }) => validator[rule.method](value, ...args);
+	/**
+	 * If user has interacted with field or, if no field is provided, any field in form.
+	 *
+	 * @param {String=} field
+	 */
+	isTouched(field) {
+		return field
+			? !!this.touched[normalizePath(field)]
+			: Object.keys(this.touched).some(key => this.touched[key]);
+	}
 
-		if (!method) {
-			throw new Error("Invalid/missing validation method '" + rule.method + "' for field '" + rule.field + "'");
+	/**
+	 * If value of field differs from its initial value or, if no field is
+	 * provided, if any field in form does.
+	 *
+	 * @param {String=} field
+	 */
+	isDirty(field) {
+		if (field) {
+			return !isEqual(this.getPropertyByPath(this.formState, field), this.initialValues[normalizePath(field)]);
 		}
+		return this.getFieldNames().some(name => this.isDirty(name));
+	}
 
-		return method;
+	/**
+	 * Opposite of `isDirty()`.
+	 *
+	 * @param {String=} field
+	 */
+	isPristine(field) {
+		return !this.isDirty(field);
 	}
 
-	reRenderForm() {
-		// TODO: Re-render only component affected by validation
-		[...this.formComponents.values()].forEach(component => {
-			component.forceUpdate();
-		});
+	/**
+	 * Returns touched, dirty and pristine state of field or, if no field is provided, of form.
+	 *
+	 * @param {String=} field
+	 * @returns {{ touched: Boolean, dirty: Boolean, pristine: Boolean }}
+	 */
+	getFieldState(field) {
+		const dirty = this.isDirty(field);
+		return { touched: this.isTouched(field), dirty, pristine: !dirty };
 	}
 
 	/**
-	 * Unregisters component from validator.
-	 * @param {Component} component
+	 * Resets form to its initial state by clearing validation result and touched state.
+	 *
+	 * If `initialState` is provided it will be used as new form state and initial values
+	 * of fields will be captured from it, otherwise form state is restored from the
+	 * initial values that were captured when fields were mounted.
+	 *
+	 * @param {Object=} initialState
 	 */
-	unregisterComponent(component) {
-		const fieldName = component.props.name;
-		this.formComponents.delete(fieldName);
+	reset(initialState) {
+		const fieldNames = this.getFieldNames();
 
-		if (this.fieldValidations) {
-			this.fieldValidations = this.fieldValidations.filter(
-				fieldValidation => fieldValidation.field !== fieldName
+		Object.keys(this.pendingValidations).forEach(field => this.cancelAsyncValidation(field));
+
+		if (initialState !== undefined) {
+			this.formState = initialState;
+			this.initialValues = {};
+			fieldNames.forEach(field => {
+				this.initialValues[field] = this.getPropertyByPath(initialState, field);
+			});
+		} else {
+			this.formState = fieldNames.reduce(
+				(state, field) =>
+					this.initialValues[field] !== undefined
+						? bindValue(field, this.initialValues[field], state)
+						: state,
+				{}
 			);
 		}
 
-		if (this.validationResult) {
-			delete this.validationResult[fieldName];
-		}
+		this.touched = {};
+		this.validationResult = null;
+		this.externalErrors = {};
+		this.setFormErrors([]);
+		this.reRenderForm();
+		this.emit("reset", { formState: this.formState });
+
+		// Children write their initial values into form state of this validator, which was replaced above
+		this.children.forEach(child =>
+			child.validator.reset(
+				initialState !== undefined ? this.getPropertyByPath(initialState, child.prefix) : undefined
+			)
+		);
+
+		return this;
 	}
 
-	getGroupSibblingValues(rule, form) {
-		if (!rule.groupId) return {};
+	/**
+	 * Sets errors on fields, for example errors returned by server when form was submitted.
+	 * A field stays invalid with these errors, regardless of its rules, until its value changes.
+	 *
+	 * Messages may be strings, templates or messages mapped by locale, and several may be set
+	 * for a field. Errors have code `server`.
+	 *
+	 * @param {Object} errors message(s) mapped by field, i.e. `{ "address.city": "Unknown city" }`
+	 */
+	setErrors(errors) {
+		const validation = this.validationResult || this.valid();
 
-		const groupFieldValidations = this.fieldValidations.filter(
-			fieldValidation => fieldValidation.groupId === rule.groupId
-		);
+		Object.keys(errors).forEach(name => {
+			const field = normalizePath(name);
+			const messages = Array.isArray(errors[name]) ? errors[name] : [errors[name]];
 
-		return groupFieldValidations.reduce((res, fieldValidation) => {
-			const keys = fieldValidation.field.split(".");
-			res[keys[keys.length - 1]] = this.getPropertyByPath(form, fieldValidation.field);
-			return res;
-		}, {});
+			this.cancelAsyncValidation(field);
+			this.externalErrors[field] = { value: this.getPropertyByPath(this.formState, field), messages };
+		});
+
+		this.applyExternalErrors(validation);
+		this.updateIsValid(validation);
+		this.validationResult = validation;
+		this.reRenderForm();
+
+		return this;
+	}
+
+	/**
+	 * Sets error on a single field, see `setErrors()`.
+	 *
+	 * @param {String} name
+	 * @param {String|Function|Object|Array} message
+	 */
+	setFieldError(name, message) {
+		return this.setErrors({ [name]: message });
+	}
+
+	/**
+	 * Maps an error response from API, using `mapErrors` option, and sets field and form errors.
+	 *
+	 * By default `{ errors: { field: "message" } }`, `{ errors: [{ field, message }] }` and JSON:API
+	 * error objects are supported, see `mapApiErrors()`.
+	 *
+	 * @param {Object} response
+	 */
+	setApiErrors(response) {
+		const { fields = {}, form = [] } = this.mapErrors(response) || {};
+
+		this.setFormErrors(form);
+		return this.setErrors(fields);
+	}
+
+	/**
+	 * Sets errors which are not related to a specific field. They are cleared on submit and reset.
+	 *
+	 * @param {Array<String>} errors
+	 */
+	setFormErrors(errors) {
+		if (isEqual(errors, this.formErrors)) return this;
+
+		this.formErrors = errors;
+		[...this.formListeners].forEach(listener => listener([]));
+
+		return this;
+	}
+
+	/**
+	 * Returns errors which are not related to a specific field.
+	 */
+	getFormErrors() {
+		return this.formErrors;
+	}
+
+	/**
+	 * Clears all errors set by `setErrors()` and `setFormErrors()`.
+	 */
+	clearErrors() {
+		const validation = this.validationResult;
+
+		Object.keys(this.externalErrors).forEach(field => {
+			if (validation && validation[field] === this.externalErrors[field].result) {
+				delete validation[field];
+			}
+		});
+
+		this.externalErrors = {};
+
+		if (validation) {
+			this.updateIsValid(validation);
+		}
+
+		this.setFormErrors([]);
+		this.reRenderForm();
+
+		return this;
+	}
+
+	/**
+	 * Applies errors set by `setErrors()` on fields whose value has not changed since, overriding
+	 * result of any rules, and drops errors of fields whose value has changed.
+	 *
+	 * @param {Object} validation
+	 * @returns {Array<String>} fields whose errors were dropped
+	 */
+	applyExternalErrors(validation) {
+		return Object.keys(this.externalErrors).filter(field => {
+			const externalError = this.externalErrors[field];
+
+			if (!isEqual(this.getPropertyByPath(this.formState, field), externalError.value)) {
+				// Leave result of rules, if field has been validated since value changed
+				if (validation[field] === externalError.result) {
+					delete validation[field];
+				}
+				delete this.externalErrors[field];
+				return true;
+			}
+
+			if (!externalError.result || validation[field] !== externalError.result) {
+				const registeredRule = this.fieldValidations.find(rule => rule.field === field);
+				const label = registeredRule && registeredRule.label;
+				const context = { value: externalError.value };
+
+				externalError.messages.forEach((message, i) =>
+					this.setInvalid(validation, { field, message, label, code: "server" }, context, i > 0)
+				);
+				externalError.result = validation[field];
+			}
+
+			return false;
+		});
+	}
+
+	/**
+	 * Returns names of all fields known to validator, either by having validation
+	 * rules or a captured initial value.
+	 */
+	getFieldNames() {
+		return [
+			...new Set([
+				...this.getExpandedValidations().map(rule => rule.field),
+				...Object.keys(this.initialValues),
+				...this.fieldListeners.keys()
+			])
+		];
+	}
+
+	/**
+	 * Focuses first registered component, in order of registration, which is invalid. Components
+	 * of child validators are focused only if there is no invalid component in this one.
+	 *
+	 * @returns {Boolean} if a component was focused
+	 */
+	focusFirstInvalid() {
+		const validation = this.validationResult || {};
+		const invalidRule = this.getExpandedValidations().find(
+			rule =>
+				validation[rule.field] &&
+				validation[rule.field].isInvalid &&
+				this.formComponents.has(rule.field) &&
+				this.formComponents.get(rule.field).focus
+		);
+
+		if (invalidRule) {
+			this.formComponents.get(invalidRule.field).focus();
+			return true;
+		}
+
+		return this.children.some(child => child.validator.focusFirstInvalid());
+	}
+
+	/**
+	 * Focuses registered component of field, if any.
+	 *
+	 * @param {String} field
+	 * @returns {Boolean} if a component was focused
+	 */
+	focusField(field) {
+		const component = this.formComponents.get(normalizePath(field));
+
+		if (component && component.focus) {
+			component.focus();
+			return true;
+		}
+		return this.children.some(child => {
+			const childField = this.getChildField(child, field);
+			return childField !== undefined && child.validator.focusField(childField);
+		});
+	}
+
+	/**
+	 * If field has a registered component which can be focused, either in this validator or
+	 * in an attached child validator.
+	 *
+	 * @param {String} field
+	 */
+	canFocus(field) {
+		const component = this.formComponents.get(normalizePath(field));
+
+		if (component && component.focus) return true;
+
+		return this.children.some(child => {
+			const childField = this.getChildField(child, field);
+			return childField !== undefined && child.validator.canFocus(childField);
+		});
+	}
+
+	/**
+	 * If field has a `required` or `checked` rule whose condition, if any, is met.
+	 *
+	 * @param {String} field
+	 */
+	isRequired(field) {
+		field = normalizePath(field);
+
+		return this.getExpandedValidations().some(
+			rule => rule.field === field && ["required", "checked"].includes(rule.name) && this.isRuleActive(rule)
+		);
+	}
+
+	/**
+	 * Returns id of the element which renders validation message of field, see `ValidationMessage`.
+	 *
+	 * @param {String} field
+	 */
+	getMessageId(field) {
+		return `${this.idPrefix}-${normalizePath(field).replace(/[^\w-]/g, "-")}-message`;
+	}
+
+	/**
+	 * Returns ARIA attributes for input of field. While field is invalid it is described by
+	 * its validation message, in addition to any ids provided by `describedBy`.
+	 *
+	 * @param {String} field
+	 * @param {String=} describedBy ids of other elements that describe input
+	 */
+	getAriaProps(field, describedBy) {
+		const result = this.getFieldResult(field);
+		const isInvalid = !!(result && result.isInvalid);
+		const describedByIds = isInvalid ? [describedBy, this.getMessageId(field)] : [describedBy];
+
+		return {
+			"aria-invalid": isInvalid,
+			"aria-required": this.isRequired(field) || undefined,
+			"aria-describedby": describedByIds.filter(Boolean).join(" ") || undefined
+		};
+	}
+
+	/**
+	 * Declares a scope, such as a step of a wizard. Fields are registered into a scope by the `scope`
+	 * prop of fields, `scope` option of `useValidatedField()` or `scope` of a schema field, which
+	 * also declares the scope if it has not been declared before.
+	 *
+	 * Rules of a persistent scope are kept when components of its fields unmount, along with their
+	 * validation result and field state, so that a final submit validates all steps against the
+	 * accumulated form state. Rules of other scopes are dropped on unmount as usual.
+	 *
+	 * @param {String} name name of scope
+	 * @param {Object=} opts options of scope, merged with those it has been declared with before
+	 * @param {Boolean} opts.persist if to keep rules of scope when fields unmount, defaults to false
+	 */
+	declareScope(name, opts = {}) {
+		this.scopes[name] = { persist: false, ...this.scopes[name], ...opts };
+		return this;
+	}
+
+	/**
+	 * Declares scope and sets it as the scope that fields without a scope of their own, which are
+	 * registered after this, are registered into. Prefer declaring scope on fields, since fields
+	 * register when they mount rather than when they render.
+	 *
+	 * @param {String} name name of scope, or undefined to stop registering fields into a scope
+	 * @param {Object=} opts options of scope, see `declareScope()`
+	 */
+	step(name, opts = {}) {
+		if (name !== undefined) {
+			this.declareScope(name, opts);
+		}
+		this.currentScope = name;
+		return this;
+	}
+
+	/**
+	 * If rules of scope are kept when fields unmount, see `step()`.
+	 *
+	 * @param {String} scope
+	 */
+	isPersistentScope(scope) {
+		return scope !== undefined && !!this.scopes[scope] && this.scopes[scope].persist;
+	}
+
+	/**
+	 * Returns names of fields with rules in scope.
+	 *
+	 * @param {String} scope
+	 */
+	getScopeFields(scope) {
+		return [
+			...new Set(this.getExpandedValidations().filter(rule => rule.scope === scope).map(rule => rule.field))
+		];
+	}
+
+	/**
+	 * Validates all fields of scope, including untouched ones, and marks them as touched,
+	 * i.e. before moving on to next step of a wizard. See `getScopeResult()` for result.
+	 *
+	 * @param {String} scope
+	 * @param {Object=} form
+	 * @returns {Object} validation result of fields in scope
+	 */
+	validateScope(scope, form = this.formState) {
+		const fields = this.getScopeFields(scope);
+
+		this.setTouched(fields);
+		this.validateFields(fields, form, { includeUndefined: true });
+
+		return this.getScopeResult(scope);
+	}
+
+	/**
+	 * Same as `validateScope()` but returns a promise which resolves once all async rules have settled.
+	 *
+	 * @param {String} scope
+	 * @param {Object=} form
+	 * @returns {Promise<Object>}
+	 */
+	validateScopeAsync(scope, form = this.formState) {
+		this.validateScope(scope, form);
+		return this.whenValidated().then(() => this.getScopeResult(scope));
+	}
+
+	/**
+	 * Returns validation result of fields in scope, in the same format as `validationResult`. Scope is
+	 * valid when none of its fields is invalid or pending, regardless of fields in other scopes.
+	 *
+	 * @param {String} scope
+	 */
+	getScopeResult(scope) {
+		return this.getScopeFields(scope).reduce(
+			(result, field) => {
+				const fieldResult = this.getFieldResult(field);
+
+				if (fieldResult) {
+					result[field] = fieldResult;
+					result.isValid = result.isValid && !fieldResult.isInvalid && !fieldResult.isPending;
+				}
+				return result;
+			},
+			{ isValid: true }
+		);
+	}
+
+	/**
+	 * Returns names of declared scopes which have invalid fields, in order of declaration,
+	 * i.e. to go back to first invalid step after a failed submit.
+	 */
+	getInvalidScopes() {
+		return Object.keys(this.scopes).filter(scope => !this.getScopeResult(scope).isValid);
+	}
+
+	/**
+	 * Returns validation result in a structured form, which is easier to list errors from than
+	 * `validationResult` where results of fields are mixed with `isValid`.
+	 *
+	 * Errors are ordered as fields are registered, followed by fields which only have errors
+	 * set by `setErrors()`. Each field has one error, or all of them if `collectAllErrors` is set.
+	 *
+	 * @returns {{ isValid: Boolean, isValidating: Boolean, fields: Object, errors: Array<Object>,
+	 * errorCount: Number, formErrors: Array<String> }}
+	 */
+	get validationSummary() {
+		return this.getValidationSummary();
+	}
+
+	/**
+	 * Same as `validationSummary`.
+	 */
+	getValidationSummary() {
+		const { isValid, ...fields } = this.validationResult || this.valid();
+		const labels = this.getExpandedValidations().reduce((res, rule) => {
+			res[rule.field] = res[rule.field] || rule.label;
+			return res;
+		}, {});
+		const registeredFields = this.getFieldNames();
+		const fieldNames = [
+			...registeredFields.filter(field => fields[field]),
+			...Object.keys(fields).filter(field => !registeredFields.includes(field))
+		];
+
+		const errors = fieldNames
+			.filter(field => fields[field].isInvalid)
+			.reduce((res, field) => {
+				const { message, rule, code, errors: fieldErrors = [{ message, rule, code }] } = fields[field];
+				return [...res, ...fieldErrors.map(error => ({ field, label: labels[field], ...error }))];
+			}, []);
+
+		return {
+			isValid,
+			isValidating: this.isValidating(),
+			fields,
+			errors,
+			errorCount: errors.length,
+			formErrors: this.formErrors
+		};
+	}
+
+	/**
+	 * Returns promise which resolves with validation result when there are no more
+	 * pending async validations.
+	 *
+	 * @returns {Promise<Object>}
+	 */
+	whenValidated() {
+		const runs = Object.keys(this.pendingValidations).map(field => this.pendingValidations[field]);
+
+		if (!runs.length) {
+			return Promise.all(this.children.map(child => child.validator.whenValidated())).then(
+				() => this.validationResult
+			);
+		}
+
+		runs.forEach(run => run.start && run.start());
+
+		return Promise.all(runs.map(run => run.promise)).then(() => this.whenValidated());
+	}
+
+	/**
+	 * If async validation is in progress, either for provided field or, if no
+	 * field is provided, for any field in form.
+	 *
+	 * @param {String=} field
+	 */
+	isValidating(field) {
+		return field ? !!this.pendingValidations[field] : Object.keys(this.pendingValidations).length > 0;
+	}
+
+	/**
+	 * Starts async validation of field, unless one is already in flight for the same value.
+	 * Results from runs that has been superseded, or whose value has changed while
+	 * in flight, are discarded, leaving field pending until its current value is validated.
+	 *
+	 * @param {String} field
+	 * @param {Array<Object>} checks
+	 */
+	validateFieldAsync(field, checks) {
+		const pendingResult = { isInvalid: false, isPending: true, message: "" };
+		const value = this.getPropertyByPath(this.formState, field);
+		const existingRun = this.pendingValidations[field];
+
+		if (existingRun && existingRun.value === value) {
+			return pendingResult;
+		}
+
+		this.cancelAsyncValidation(field);
+
+		const run = { value };
+		const debounce = Math.max(
+			...checks.map(({ rule, result }) =>
+				result ? 0 : rule.debounce !== undefined ? rule.debounce : this.asyncDebounce
+			)
+		);
+
+		run.promise = new Promise(resolve => (run.resolve = resolve)).then(
+			results => results && this.applyAsyncResult(field, run, checks, results)
+		);
+
+		run.start = () => {
+			clearTimeout(run.timer);
+			run.start = null;
+			run.resolve(
+				Promise.all(
+					checks.map(({ rule, context, result }) =>
+						// Rule is invoked within promise, so that a rule which throws is rejected
+						new Promise(resolve => resolve(result || this.getValidationFunction(rule)(context))).then(
+							res => res === rule.validWhen,
+							// A rejected async rule is considered a failed validation
+							() => false
+						)
+					)
+				)
+			);
+		};
+
+		this.pendingValidations[field] = run;
+
+		if (debounce > 0) {
+			run.timer = setTimeout(run.start, debounce);
+		} else {
+			run.start();
+		}
+
+		return pendingResult;
+	}
+
+	applyAsyncResult(field, run, checks, results) {
+		if (this.pendingValidations[field] !== run) {
+			this.log(`Discarding superseded async validation result for field ${field}`);
+			return;
+		}
+
+		delete this.pendingValidations[field];
+
+		const validation = this.validationResult;
+
+		if (!validation) return;
+
+		if (this.getPropertyByPath(this.formState, field) !== run.value) {
+			// Field is left pending, since current value has not been validated
+			this.log(`Discarding async validation result for field ${field}, value has changed`);
+			return;
+		}
+
+		const failedChecks = checks.filter((check, i) => !results[i]);
+
+		if (failedChecks.length) {
+			(this.collectAllErrors ? failedChecks : failedChecks.slice(0, 1)).forEach((check, i) =>
+				this.setInvalid(validation, check.rule, check.context, i > 0)
+			);
+		} else {
+			this.setValid(validation, checks[0].rule);
+		}
+
+		this.applyExternalErrors(validation);
+		this.updateIsValid(validation);
+		this.reRenderForm();
+	}
+
+	cancelAsyncValidation(field) {
+		const run = this.pendingValidations[field];
+
+		if (run) {
+			clearTimeout(run.timer);
+			run.resolve(null);
+			delete this.pendingValidations[field];
+		}
+	}
+
+	/**
+	 * Sets field of rule as invalid. If `append` is set, the error is added to errors
+	 * of field which has already failed another rule.
+	 */
+	setInvalid(validation, rule, context, append = false) {
+		const error = {
+			rule: rule.name,
+			code: rule.code || rule.name,
+			message: this.formatMessage(rule, context)
+		};
+
+		this.errorSources.set(error, { rule, context });
+
+		if (append) {
+			validation[rule.field] = {
+				...validation[rule.field],
+				errors: [...validation[rule.field].errors, error]
+			};
+		} else {
+			validation[rule.field] = {
+				isInvalid: true,
+				message: error.message,
+				rule: error.rule,
+				code: error.code,
+				groupId: rule.groupId,
+				errors: [error]
+			};
+		}
+	}
+
+	setValid(validation, rule) {
+		validation[rule.field] = { isInvalid: false, message: "" };
+		if (rule.groupId) {
+			Object.keys(validation).forEach(k => {
+				if (rule.groupId === validation[k].groupId) {
+					validation[k] = { isInvalid: false, message: "" };
+				}
+			});
+		}
+	}
+
+	/**
+	 * Resolves and formats message of a failing rule.
+	 *
+	 * Message of rule, or if none is set message for rule code in `messages` of current
+	 * locale, or default message is used. A message may be a string, a function which
+	 * is invoked with message context or an object with messages mapped by locale.
+	 *
+	 * If a translator is set it is invoked with resolved message, and finally any
+	 * placeholders such as `{label}`, `{value}` or `{args.0}` are interpolated.
+	 *
+	 * @param {Object} rule
+	 * @param {Object} context validation context of rule, i.e. value and args
+	 */
+	formatMessage(rule, context = {}) {
+		const messageContext = {
+			...context,
+			args: rule.args || [],
+			field: rule.field,
+			label: rule.label || rule.field,
+			rule: rule.name,
+			code: rule.code || rule.name,
+			locale: this.locale
+		};
+
+		const catalog = this.messages[this.locale] || {};
+		const message =
+			resolveMessage(rule.message, messageContext) ||
+			resolveMessage(catalog[messageContext.code], messageContext) ||
+			resolveMessage(this.defaultMessage, messageContext);
+
+		return interpolate(this.translate ? this.translate(message, messageContext) : message, messageContext);
+	}
+
+	/**
+	 * Switches locale and re-formats messages of all fields that are invalid.
+	 *
+	 * @param {String} locale
+	 */
+	setLocale(locale) {
+		this.locale = locale;
+
+		const validation = this.validationResult;
+
+		if (validation) {
+			Object.keys(validation)
+				.filter(field => validation[field].errors)
+				.forEach(field => {
+					const errors = validation[field].errors.map(error => {
+						const source = this.errorSources.get(error);
+
+						if (!source) return error;
+
+						const refreshedError = { ...error, message: this.formatMessage(source.rule, source.context) };
+						this.errorSources.set(refreshedError, source);
+						return refreshedError;
+					});
+
+					validation[field] = { ...validation[field], message: errors[0].message, errors };
+				});
+		}
+
+		this.reRenderForm();
+
+		return this;
+	}
+
+	updateIsValid(validation) {
+		// Check if at least one validation failure or pending validation exists, if so fail validation
+		validation.isValid = !Object.keys(validation).some(
+			key => validation[key].isInvalid || validation[key].isPending
+		);
+	}
+
+	valid() {
+		const validation = {};
+		this.getExpandedValidations().forEach(rule => (validation[rule.field] = { isInvalid: false, message: "" }));
+		return { isValid: true, ...validation };
+	}
+
+	/**
+	 * Registers form validation rules available to use in this form validator instance.
+	 * @param {Array} rules
+	 */
+	registerFormRules(rules) {
+		rules.forEach(rule => {
+			if (!rule.name) {
+				throw new Error("Missing validation rule name for: " + JSON.stringify(rule || {}));
+			}
+
+			checkMethod(rule);
+
+			this.formRules[rule.name] = rule;
+		});
+		return this;
+	}
+
+	/**
+	 * Registers field validations.
+	 *
+	 * Each field validation contains the following:
+	 *
+	 * - A `field` attribute which identifies which form field this validation is for
+	 * - An option `name` attribute which is the name of the vadation rule that exists in global or form registry
+	 * - It may optionally contain the validation rule directly here, in that case `name` should not be set
+	 * - An optional `when` condition, either `{ field, is }` where `is` is a value, an array of values or
+	 *   a function invoked with value of controlling field, or a function invoked with form state.
+	 *   Rule is only validated while condition is met.
+	 * - Optional `normalize` and `isEmpty`, which normalizes value before it is validated and checks if it is
+	 *   empty. Normalizer may be name of a built-in one, such as `"trim"` or `"number"`, or a function.
+	 * - An optional `dependsOn` with field(s) that rule depends on, which means that field is re-validated
+	 *   when any of those are. Values of them are passed to rule as `dependencies`. May also be a function
+	 *   which is invoked with args of rule, as for the built-in `equalsField` rule.
+	 *
+	 * @param {Array} fieldValidations
+	 * @param {Object=} component component that registers validations, if any
+	 */
+	registerFieldValidations(fieldValidations, component) {
+		if (component) {
+			const componentField = normalizePath(component.props.name);
+			this.formComponents.set(componentField, component);
+			// Rules that a scope retained when previous component of field unmounted are declared again
+			this.fieldValidations = this.fieldValidations.filter(
+				rule => !(rule.retained && rule.field === componentField)
+			);
+		}
+
+		fieldValidations.forEach(rule => {
+			this.log(
+				`Registering field validation rule ${rule.name} for field ${rule.field} ${
+				rule.groupId ? "(group " + rule.groupId + ")" : ""
+				}`
+			);
+
+			const {
+				name,
+				method,
+				message,
+				validWhen = true,
+				skipIfEmpty = true,
+				groupId,
+				async,
+				debounce,
+				code,
+				label,
+				fromSchema,
+				scope = this.currentScope
+			} = rule;
+
+			const when =
+				rule.when && rule.when.field ? { ...rule.when, field: normalizePath(rule.when.field) } : rule.when;
+
+			const field = normalizePath(rule.field);
+
+			if (!name && !field) {
+				throw new Error("Either 'name' or 'field' must be set on validation rule");
+			}
+
+			if (scope !== undefined && !this.scopes[scope]) {
+				this.declareScope(scope);
+			}
+
+			const registeredValidation =
+				name && this.fieldValidations.find(validation => validation.field === field && validation.name === name);
+
+			// I.e. a mounted component declaring a rule that already exists in schema
+			const schemaRule =
+				registeredValidation &&
+				component &&
+				(registeredValidation.schemaRule || (registeredValidation.fromSchema && registeredValidation));
+
+			if (schemaRule) {
+				// Overrides are kept on a copy of schema rule, which is restored when component unmounts
+				this.fieldValidations = this.fieldValidations.map(validation =>
+					validation === registeredValidation
+						? {
+								...schemaRule,
+								message: message || schemaRule.message,
+								label: label || schemaRule.label,
+								when: when || schemaRule.when,
+								fromSchema: false,
+								component,
+								schemaRule
+						  }
+						: validation
+				);
+			} else if (registeredValidation) {
+				registeredValidation.message = message || registeredValidation.message;
+				registeredValidation.label = label || registeredValidation.label;
+				registeredValidation.when = when || registeredValidation.when;
+			} else {
+				const validationSpec = { ...this.formRules[name] };
+				const args = rule.args || validationSpec.args || [];
+
+				checkArgs({ name, argTypes: validationSpec.argTypes || rule.argTypes }, args, field);
+				checkMethod({ name, method: validationSpec.method || method }, field);
+				const dependsOn = rule.dependsOn || validationSpec.dependsOn || [];
+				const dependencies = typeof dependsOn === "function" ? dependsOn(args) : parseArray(dependsOn);
+
+				const fieldValidation = {
+					field,
+					groupId,
+					name,
+					message: message || validationSpec.message,
+					method: validationSpec.method || method,
+					args,
+					validWhen: validationSpec.validWhen !== undefined ? validationSpec.validWhen : validWhen,
+					skipIfEmpty: validationSpec.skipIfEmpty !== undefined ? validationSpec.skipIfEmpty : skipIfEmpty,
+					async: validationSpec.async || async,
+					debounce: validationSpec.debounce !== undefined ? validationSpec.debounce : debounce,
+					code: validationSpec.code || code,
+					label,
+					when,
+					dependsOn: dependencies.length ? dependencies.map(normalizePath) : undefined,
+					normalize: resolveNormalizer(rule.normalize || validationSpec.normalize),
+					// Normalizer as declared on field, which is exported by `exportRules()`
+					declaredNormalize: rule.normalize,
+					isEmpty: rule.isEmpty || validationSpec.isEmpty,
+					fromSchema,
+					scope,
+					// Component which registered validation, if any
+					component
+				};
+
+				this.fieldValidations.push(fieldValidation);
+			}
+		});
+
+		[...new Set(fieldValidations.map(rule => normalizePath(rule.field)))].forEach(field =>
+			this.emit("register", { field, component })
+		);
+
+		return this;
+	}
+
+	/**
+	 * Registers field validations declared as a schema, which makes it possible to
+	 * validate a plain object without having any components mounted.
+	 *
+	 * Each field may be declared in the same formats as `validate` prop of `withValidation`:
+	 *
+	 * ```
+	 * {
+	 * 	"user.name": "required",
+	 * 	"user.email": "required|email",
+	 * 	"address.zip": ["required", { method: "isPostalCode", args: ["SE"] }]
+	 * }
+	 * ```
+	 *
+	 * A field may also be declared as an object with rules set as `validate`, along with
+	 * `message`, `label`, `dependsOn`, `normalize`, `isEmpty`, `scope` and a `when` condition which applies
+	 * to all of them:
+	 *
+	 * ```
+	 * {
+	 * 	"address.postcode": { validate: "required", when: { field: "address.country", is: "SE" } }
+	 * }
+	 * ```
+	 *
+	 * Schema validations are kept when a component for the same field unmounts, and
+	 * named rules that a mounted component declares are merged with those in schema.
+	 *
+	 * @param {Object} schema
+	 */
+	registerSchema(schema) {
+		Object.keys(schema).forEach(field => {
+			const declaration = schema[field];
+			const { validate, dependsOn, ...opts } =
+				declaration && declaration.validate !== undefined ? declaration : { validate: declaration };
+
+			this.registerFieldValidations(
+				toFieldValidations(validate, this.formRules, { ...opts, field }).map(rule => ({
+					...rule,
+					dependsOn: dependsOn || rule.dependsOn,
+					fromSchema: true
+				}))
+			);
+		});
+		return this;
+	}
+
+	/**
+	 * Exports field validations, along with the global and form rules that they use, in a JSON serializable
+	 * format, i.e. to validate request bodies with the same rules in a Node backend, see `FormValidator.fromJSON()`.
+	 *
+	 * Rules must reference validator.js methods by name, such as `{ name: "zip", method: "isPostalCode",
+	 * args: ["SE"] }`, while field validations may use any named rule, including built-in ones. Messages,
+	 * `when` conditions with values and normalizers referenced by name are exported as well. An error is
+	 * thrown for anything that is a function, since it can not be serialized.
+	 *
+	 * @returns {{ globalRules: Array<Object>, rules: Array<Object>, fields: Object }}
+	 */
+	exportRules() {
+		const { defaultRules, globalRules } = FormValidator;
+		// Rules which are not used by any field are left out, they may well be functions
+		const usedNames = Object.keys(this.formRules).filter(name =>
+			this.fieldValidations.some(rule => rule.name === name)
+		);
+		const globalRuleNames = usedNames.filter(name => this.formRules[name] === globalRules[name]);
+		const formRuleNames = usedNames.filter(
+			name => this.formRules[name] !== defaultRules[name] && this.formRules[name] !== globalRules[name]
+		);
+
+		return {
+			globalRules: globalRuleNames.map(name => serializeRule(globalRules[name])),
+			rules: formRuleNames.map(name => serializeRule(this.formRules[name])),
+			fields: this.fieldValidations.reduce((fields, rule) => {
+				fields[rule.field] = [...(fields[rule.field] || []), this.serializeFieldValidation(rule)];
+				return fields;
+			}, {})
+		};
+	}
+
+	/**
+	 * Returns a JSON serializable declaration of a registered field validation, leaving out anything
+	 * that is the same as for the named rule that it refers to.
+	 *
+	 * @param {Object} rule
+	 */
+	serializeFieldValidation(rule) {
+		const spec = (rule.name && this.formRules[rule.name]) || {};
+		const declaration = rule.name
+			? { name: rule.name }
+			: { method: rule.method, validWhen: rule.validWhen, skipIfEmpty: rule.skipIfEmpty, code: rule.code };
+		const description = (rule.name ? `Rule '${rule.name}'` : "Rule") + ` of field '${rule.field}'`;
+
+		return toSerializable(
+			{
+				...declaration,
+				args: rule.args.length && !isEqual(rule.args, spec.args || []) ? rule.args : undefined,
+				message: rule.message !== spec.message ? rule.message : undefined,
+				label: rule.label,
+				groupId: rule.groupId,
+				scope: rule.scope,
+				when: rule.when,
+				dependsOn: rule.dependsOn,
+				normalize: rule.declaredNormalize,
+				isEmpty: rule.isEmpty !== spec.isEmpty ? rule.isEmpty : undefined
+			},
+			description
+		);
+	}
+
+	getPropertyByPath(obj, path) {
+		try {
+			return objectPath.get(obj, normalizePath(path));
+		} catch (err) {
+			// do nothing - this happens if parent prop does not exist, which means that value is undefined
+		}
+	}
+
+	/**
+	 * If value is empty, which decides if rules with `skipIfEmpty` are skipped. May be replaced
+	 * by `isEmpty` option, or per rule by `isEmpty` of rule. See `isEmptyValue()` for defaults.
+	 *
+	 * @param {*} value
+	 */
+	isEmpty(value) {
+		return isEmptyValue(value);
+	}
+
+	/**
+	 * Applies normalizer of form and then normalizer of rule, if any, to value before it is validated.
+	 *
+	 * @param {Object} rule
+	 * @param {*} value
+	 */
+	normalizeValue(rule, value) {
+		const normalized = this.normalize ? this.normalize(value) : value;
+		return rule.normalize ? rule.normalize(normalized) : normalized;
+	}
+
+	/**
+	 * Sets input value on validation form state, see `bindInputValue()`.
+	 *
+	 * @param {Object|*} event change event, or value passed by a custom widget
+	 * @param {String=} name name of field, required if a value rather than an event is passed
+	 */
+	setInputValue(event, name) {
+		const field = name !== undefined ? name : isInputEvent(event) ? event.target.name : undefined;
+		const previousValue = this.getPropertyByPath(this.formState, field);
+
+		this.formState = bindInputValue(event, this.formState, name);
+		this.dropChangedExternalErrors();
+		this.emitFieldChange(field, previousValue);
+		return this;
+	}
+
+	/**
+	 *
+	 * @param {String} name of field, used as
+	 * @param {*} value
+	 */
+	setFieldValue(name, value) {
+		const previousValue = this.getPropertyByPath(this.formState, name);
+
+		if (value === previousValue) return this;
+
+		this.formState = bindValue(name, value, this.formState);
+		this.dropChangedExternalErrors();
+		this.emitFieldChange(name, previousValue);
+		return this;
+	}
+
+	/**
+	 * Emits `fieldChange` event if value of field differs from its previous value.
+	 *
+	 * @param {String} field
+	 * @param {*} previousValue
+	 */
+	emitFieldChange(field, previousValue) {
+		if (field === undefined) return;
+
+		const value = this.getPropertyByPath(this.formState, field);
+
+		if (!isEqual(value, previousValue)) {
+			this.emit("fieldChange", { field: normalizePath(field), value, previousValue });
+		}
+	}
+
+	/**
+	 * Clears errors set by `setErrors()` as soon as value of field changes, rather than
+	 * waiting for it to be validated.
+	 */
+	dropChangedExternalErrors() {
+		if (this.validationResult && this.applyExternalErrors(this.validationResult).length) {
+			this.updateIsValid(this.validationResult);
+			this.reRenderForm();
+		}
+	}
+
+	getValidationFunction(rule) {
+		// TODO: Method vs function, the semantic is kind of mixed - should align this
+		const method =
+			typeof rule.method === "function"
+				? rule.method
+				: ({ value, args }) =>
+						// Each selected option, file etc. of array values has to be valid
+						Array.isArray(value)
+							? value.every(item => validator[rule.method](toValidatorString(item), ...args))
+							: validator[rule.method](toValidatorString(value), ...args);
+
+		return method;
+	}
+
+	/**
+	 * Notifies subscribers of fields whose validation result or field state has changed
+	 * since last notification. Fields in same validation group as a changed field are
+	 * notified as well.
+	 *
+	 * @param {Boolean=} force if to notify all subscribers regardless of changes
+	 */
+	reRenderForm(force = false) {
+		this.emitValidationChanges();
+
+		// Including fields which only have a result, i.e. errors set by `setErrors()`, or had one
+		const fields = new Set([
+			...this.getFieldNames(),
+			...Object.keys(this.validationResult || {}).filter(key => key !== "isValid"),
+			...Object.keys(this.fieldSnapshots)
+		]);
+
+		const changedFields = [...fields].filter(field => {
+			const snapshot = this.getFieldSnapshot(field);
+			const hasChanged = !isEqual(snapshot, this.fieldSnapshots[field]);
+			this.fieldSnapshots[field] = snapshot;
+			return hasChanged;
+		});
+
+		const changedFieldsAndGroups = new Set(changedFields);
+		const changedGroups = new Set(
+			this.fieldValidations
+				.filter(rule => rule.groupId && changedFieldsAndGroups.has(rule.field))
+				.map(rule => rule.groupId)
+		);
+
+		this.fieldValidations.forEach(rule => {
+			if (changedGroups.has(rule.groupId)) {
+				changedFieldsAndGroups.add(rule.field);
+			}
+		});
+
+		const fieldsToNotify = force ? [...this.fieldListeners.keys()] : [...changedFieldsAndGroups];
+
+		fieldsToNotify.forEach(field => {
+			[...(this.fieldListeners.get(field) || [])].forEach(listener => listener(field));
+		});
+
+		if (force || changedFields.length) {
+			[...this.formListeners].forEach(listener => listener(fieldsToNotify));
+		}
+	}
+
+	/**
+	 * Subscribes to changes of validation result and field state of a single field.
+	 *
+	 * @param {String} field
+	 * @param {Function} listener invoked with name of field
+	 * @returns {Function} function which unsubscribes listener
+	 */
+	subscribeField(field, listener) {
+		field = normalizePath(field);
+
+		if (!this.fieldListeners.has(field)) {
+			this.fieldListeners.set(field, new Set());
+			this.fieldSnapshots[field] = this.getFieldSnapshot(field);
+		}
+
+		this.fieldListeners.get(field).add(listener);
+
+		return () => {
+			const listeners = this.fieldListeners.get(field);
+
+			if (listeners) {
+				listeners.delete(listener);
+
+				if (!listeners.size) {
+					this.fieldListeners.delete(field);
+				}
+			}
+		};
+	}
+
+	/**
+	 * Subscribes to changes of any field in form.
+	 *
+	 * @param {Function} listener invoked with names of fields that were notified
+	 * @returns {Function} function which unsubscribes listener
+	 */
+	subscribeForm(listener) {
+		this.formListeners.add(listener);
+		return () => this.formListeners.delete(listener);
+	}
+
+	/**
+	 * Keeps form state in an external store, such as a Redux store, rather than in validator. Values are
+	 * read from store whenever they are validated, so that they are the same as in store even if store
+	 * changes them, i.e. a reducer that normalizes values. See `createStoreAdapter()` for a Redux store.
+	 *
+	 * @param {Object} store
+	 * @param {Function} store.getFormState returns form state from store
+	 * @param {Function} store.setFormState invoked with updated form state, i.e. when an input changes
+	 * @param {Function=} store.setValidationResult invoked with a copy of validation result when it changes
+	 * @returns {FormValidator}
+	 */
+	connectStore({ getFormState, setFormState, setValidationResult }) {
+		if (!getFormState || !setFormState) {
+			throw new Error("Store must provide both 'getFormState' and 'setFormState'");
+		}
+
+		Object.defineProperty(this, "formState", {
+			configurable: true,
+			enumerable: true,
+			get: () => getFormState() || {},
+			set: setFormState
+		});
+
+		if (setValidationResult) {
+			this.on("validate", ({ result }) => setValidationResult({ ...result }));
+			this.on("reset", () => setValidationResult(null));
+		}
+
+		return this;
+	}
+
+	/**
+	 * Attaches a child validator, i.e. of a reusable section of form with its own form rules, whose
+	 * fields are namespaced under `prefix` in this validator:
+	 *
+	 * ```
+	 * validator.attachChild("billing.address", addressValidator);
+	 * validator.getFieldResult("billing.address.street");
+	 * ```
+	 *
+	 * Form state of child is the value at `prefix` in form state of this validator, so that values set
+	 * on either are seen by both. Validating this validator validates the child as well, and results
+	 * of child are merged into validation result of this validator whenever child is validated.
+	 *
+	 * @param {String} prefix path of child fields
+	 * @param {FormValidator} child
+	 */
+	attachChild(prefix, child) {
+		prefix = normalizePath(prefix);
+
+		const childState = child.formState;
+
+		Object.defineProperty(child, "formState", {
+			configurable: true,
+			enumerable: true,
+			get: () => this.getPropertyByPath(this.formState, prefix) || {},
+			set: state => {
+				this.formState = bindValue(prefix, state, this.formState);
+			}
+		});
+
+		if (this.getPropertyByPath(this.formState, prefix) === undefined) {
+			child.formState = childState;
+		}
+
+		const entry = { prefix, validator: child, fields: [] };
+		entry.unsubscribe = child.subscribeForm(() => this.syncChildResults());
+
+		this.children.push(entry);
+		this.syncChildResults();
+
+		return this;
+	}
+
+	/**
+	 * Detaches a child validator, which keeps a copy of its current form state.
+	 *
+	 * @param {FormValidator} child
+	 */
+	detachChild(child) {
+		const entry = this.children.find(candidate => candidate.validator === child);
+
+		if (!entry) return this;
+
+		const childState = child.formState;
+
+		entry.unsubscribe();
+		this.children = this.children.filter(candidate => candidate !== entry);
+
+		Object.defineProperty(child, "formState", {
+			configurable: true,
+			enumerable: true,
+			writable: true,
+			value: childState
+		});
+
+		this.syncChildResults(entry);
+
+		return this;
+	}
+
+	/**
+	 * Returns path of field relative to child, or undefined if field is not a field of child.
+	 */
+	getChildField(child, field) {
+		field = normalizePath(field);
+		return field.indexOf(child.prefix + ".") === 0 ? field.slice(child.prefix.length + 1) : undefined;
+	}
+
+	/**
+	 * Replaces results of child fields in validation with current results of child validators.
+	 *
+	 * @param {Object} validation
+	 * @param {Object=} detachedChild child whose results should only be removed
+	 */
+	mergeChildResults(validation, detachedChild) {
+		[...this.children, ...(detachedChild ? [detachedChild] : [])].forEach(child => {
+			child.fields.forEach(field => delete validation[field]);
+
+			const childResult = child === detachedChild ? null : child.validator.validationResult;
+
+			child.fields = Object.keys(childResult || {})
+				.filter(key => key !== "isValid")
+				.map(key => {
+					validation[child.prefix + "." + key] = childResult[key];
+					return child.prefix + "." + key;
+				});
+		});
+	}
+
+	/**
+	 * Merges results of child validators into validation result, and notifies subscribers
+	 * of changed fields.
+	 *
+	 * @param {Object=} detachedChild child whose results should only be removed
+	 */
+	syncChildResults(detachedChild) {
+		const hasChildResults = this.children.some(child => child.validator.validationResult);
+
+		if (!this.validationResult && !hasChildResults) return;
+
+		const validation = { ...(this.validationResult || { isValid: true }) };
+
+		this.mergeChildResults(validation, detachedChild);
+		this.applyExternalErrors(validation);
+		this.updateIsValid(validation);
+
+		this.validationResult = validation;
+		this.reRenderForm();
+	}
+
+	/**
+	 * Subscribes to an event of validator:
+	 *
+	 * - `validate` when validation result has changed, with `{ result, previousResult, isValid, changes }`
+	 *   where `changes` contains `{ field, value, previous, next }` for each field whose result has changed.
+	 *   Not emitted when result is cleared by `reset()`.
+	 * - `fieldChange` when value of a field has changed, with `{ field, value, previousValue }`
+	 * - `submit` when a submitted form has been validated, with `{ formState, result, isValid }`
+	 * - `register` when rules of a field are registered, with `{ field, component }`
+	 * - `unregister` when component of a field unmounts, with `{ field, component, retained }` where
+	 *   `retained` tells if rules are kept by a persistent scope
+	 * - `reset` when form has been reset, with `{ formState }`
+	 *
+	 * ```
+	 * validator.on("validate", ({ isValid }) => setCanSubmit(isValid));
+	 * ```
+	 *
+	 * @param {String} event
+	 * @param {Function} listener invoked with payload of event
+	 * @returns {Function} function which unsubscribes listener
+	 */
+	on(event, listener) {
+		if (!this.eventListeners.has(event)) {
+			this.eventListeners.set(event, new Set());
+		}
+
+		this.eventListeners.get(event).add(listener);
+
+		return () => this.eventListeners.get(event).delete(listener);
+	}
+
+	/**
+	 * Subscribes to all events, see `on()`.
+	 *
+	 * @param {Function} listener invoked with name and payload of event
+	 * @returns {Function} function which unsubscribes listener
+	 */
+	subscribe(listener) {
+		return this.on("*", listener);
+	}
+
+	/**
+	 * Invokes listeners of event, and listeners of all events.
+	 *
+	 * @param {String} event
+	 * @param {Object} payload
+	 */
+	emit(event, payload) {
+		[...(this.eventListeners.get(event) || [])].forEach(listener => listener(payload));
+		[...(this.eventListeners.get("*") || [])].forEach(listener => listener(event, payload));
+	}
+
+	/**
+	 * Emits `validate` event if validation result has changed since it was last emitted.
+	 */
+	emitValidationChanges() {
+		const previousResult = this.emittedResult;
+		const result = this.validationResult;
+
+		// Result is updated in place, so a copy is kept to compare with
+		this.emittedResult = result && { ...result };
+
+		if (!result) return;
+
+		const fields = new Set([...Object.keys(previousResult || {}), ...Object.keys(result)]);
+		const changes = [...fields]
+			.filter(field => field !== "isValid" && !isEqual((previousResult || {})[field], result[field]))
+			.map(field => ({
+				field,
+				value: this.getPropertyByPath(this.formState, field),
+				previous: previousResult ? previousResult[field] : undefined,
+				next: result[field]
+			}));
+
+		if (changes.length || !previousResult || previousResult.isValid !== result.isValid) {
+			this.emit("validate", { result, previousResult, isValid: result.isValid, changes });
+		}
+	}
+
+	getFieldSnapshot(field) {
+		// A field without result renders the same as a valid field
+		const result = (this.validationResult && this.validationResult[field]) || { isInvalid: false, message: "" };
+		return { result, ...this.getFieldState(field) };
+	}
+
+	/**
+	 * Unregisters component from validator.
+	 * @param {Object} component
+	 */
+	unregisterComponent(component) {
+		const fieldName = normalizePath(component.props.name);
+
+		// Schema rules that component declared again are restored, without its overrides
+		this.fieldValidations = this.fieldValidations.map(rule =>
+			rule.component === component && rule.schemaRule ? rule.schemaRule : rule
+		);
+
+		if (this.formComponents.has(fieldName) && this.formComponents.get(fieldName) !== component) {
+			// Field has been taken over by another component, i.e. after rows were re-indexed,
+			// so only drop validations that this component registered
+			this.fieldValidations = this.fieldValidations.filter(rule => rule.component !== component);
+			return;
+		}
+
+		this.formComponents.delete(fieldName);
+		delete this.fieldSnapshots[fieldName];
+
+		const retainedRules = this.fieldValidations.filter(
+			rule => rule.field === fieldName && !rule.fromSchema && this.isPersistentScope(rule.scope)
+		);
+
+		if (retainedRules.length) {
+			// Field of a persistent scope is still validated, with its state kept, until it is mounted again
+			retainedRules.forEach(rule => {
+				rule.component = undefined;
+				rule.retained = true;
+			});
+			this.emit("unregister", { field: fieldName, component, retained: true });
+			return;
+		}
+
+		this.cancelAsyncValidation(fieldName);
+		delete this.touched[fieldName];
+		delete this.initialValues[fieldName];
+
+		if (this.fieldValidations) {
+			this.fieldValidations = this.fieldValidations.filter(
+				fieldValidation =>
+					fieldValidation.field !== fieldName ||
+					fieldValidation.fromSchema ||
+					(fieldValidation.component && fieldValidation.component !== component)
+			);
+		}
+
+		const hasRemainingValidations = this.fieldValidations.some(rule => rule.field === fieldName);
+
+		if (this.validationResult && !hasRemainingValidations) {
+			delete this.validationResult[fieldName];
+			this.updateIsValid(this.validationResult);
+		}
+
+		this.emit("unregister", { field: fieldName, component, retained: false });
+	}
+
+	/**
+	 * Moves registration of component when its name has changed, unless the registration
+	 * already has been moved by re-indexing rows with `insertRow()`, `removeRow()` or `moveRow()`.
+	 *
+	 * @param {Object} component
+	 * @param {String} previousName
+	 */
+	renameComponent(component, previousName) {
+		const name = normalizePath(component.props.name);
+		previousName = normalizePath(previousName);
+
+		if (this.formComponents.get(previousName) === component) {
+			this.formComponents.delete(previousName);
+			this.formComponents.set(name, component);
+			this.fieldValidations.forEach(rule => {
+				if (rule.component === component) {
+					rule.field = name;
+				}
+			});
+		}
+	}
+
+	getGroupSibblingValues(rule, form) {
+		if (!rule.groupId) return {};
+
+		const groupId = rule.wildcardGroupId || rule.groupId;
+		const groupFieldValidations = this.fieldValidations.filter(
+			fieldValidation => fieldValidation.groupId === groupId
+		);
+
+		return groupFieldValidations.reduce((res, fieldValidation) => {
+			// Siblings in array rows resolve to the same row as the rule being validated
+			const field = fillWildcards(fieldValidation.field, rule.wildcards);
+			const keys = field.split(".");
+			res[keys[keys.length - 1]] = this.getPropertyByPath(form, field);
+			return res;
+		}, {});
+	}
+
+	/**
+	 * Returns field validations where rules with wildcard fields, such as `contacts.*.email`,
+	 * are expanded into one rule for each matching field in form.
+	 *
+	 * Group ids of expanded rules are scoped to the array item, so that group members
+	 * in one row does not affect another row.
+	 *
+	 * @param {Object=} form
+	 */
+	getExpandedValidations(form = this.formState) {
+		return this.fieldValidations.reduce((rules, rule) => {
+			if (!rule.field || !rule.field.includes("*")) {
+				rules.push(rule);
+				return rules;
+			}
+
+			expandPath(rule.field, form).forEach(({ path, wildcards }) => {
+				rules.push({
+					...rule,
+					field: path,
+					wildcards,
+					groupId: rule.groupId && `${rule.groupId}[${wildcards.join(",")}]`,
+					dependsOn: rule.dependsOn && rule.dependsOn.map(dependency => fillWildcards(dependency, wildcards)),
+					wildcardGroupId: rule.groupId,
+					// Wildcard rule that this rule is expanded from
+					sourceRule: rule
+				});
+			});
+
+			return rules;
+		}, []);
+	}
+
+	/**
+	 * Returns validation result of a single field.
+	 *
+	 * @param {String} field
+	 */
+	getFieldResult(field) {
+		return this.validationResult ? this.validationResult[normalizePath(field)] : undefined;
+	}
+
+	/**
+	 * Inserts an item into array at path in form state, and re-indexes validation result and
+	 * field state of subsequent items. Item is appended if no index is provided.
+	 *
+	 * Form state of the form component should be updated accordingly, i.e. using `pushValue()`.
+	 *
+	 * @param {String} path path of array
+	 * @param {any} item
+	 * @param {Number=} index
+	 */
+	insertRow(path, item, index) {
+		const items = this.getPropertyByPath(this.formState, path) || [];
+		const insertIndex = index === undefined ? items.length : index;
+
+		this.formState = pushValue(path, item, this.formState, insertIndex);
+		this.reindexRows(path, i => (i >= insertIndex ? i + 1 : i));
+
+		return this;
+	}
+
+	/**
+	 * Removes item at index from array at path in form state, and drops validation result
+	 * and field state of item as well as re-indexes those of subsequent items.
+	 *
+	 * Form state of the form component should be updated accordingly, i.e. using `removeValue()`.
+	 *
+	 * @param {String} path path of array
+	 * @param {Number} index
+	 */
+	removeRow(path, index) {
+		this.formState = removeValue(path, index, this.formState);
+		this.reindexRows(path, i => (i === index ? -1 : i > index ? i - 1 : i));
+
+		return this;
+	}
+
+	/**
+	 * Moves item in array at path in form state, along with its validation result and field state.
+	 *
+	 * Form state of the form component should be updated accordingly, i.e. using `moveValue()`.
+	 *
+	 * @param {String} path path of array
+	 * @param {Number} from
+	 * @param {Number} to
+	 */
+	moveRow(path, from, to) {
+		this.formState = moveValue(path, from, to, this.formState);
+		this.reindexRows(path, i => {
+			if (i === from) return to;
+			if (from < to && i > from && i <= to) return i - 1;
+			if (from > to && i >= to && i < from) return i + 1;
+			return i;
+		});
+
+		return this;
+	}
+
+	/**
+	 * Re-keys everything that is mapped by field for fields within array at path.
+	 *
+	 * @param {String} path path of array
+	 * @param {Function} mapIndex maps old index to new one, or -1 if item was removed
+	 */
+	reindexRows(path, mapIndex) {
+		const prefix = normalizePath(path) + ".";
+
+		const reindex = field => {
+			if (!field || !field.startsWith(prefix)) return field;
+
+			const [index, ...rest] = field.slice(prefix.length).split(".");
+
+			if (!/^\d+$/.test(index)) return field;
+
+			const newIndex = mapIndex(Number(index));
+			return newIndex === -1 ? null : [prefix + newIndex, ...rest].join(".");
+		};
+
+		const reindexKeys = obj =>
+			Object.keys(obj).reduce((res, key) => {
+				const newKey = reindex(key);
+				if (newKey !== null) res[newKey] = obj[key];
+				return res;
+			}, {});
+
+		Object.keys(this.pendingValidations)
+			.filter(field => reindex(field) !== field)
+			.forEach(field => this.cancelAsyncValidation(field));
+
+		this.fieldValidations = this.fieldValidations
+			.filter(rule => reindex(rule.field) !== null)
+			.map(rule => (reindex(rule.field) === rule.field ? rule : { ...rule, field: reindex(rule.field) }));
+
+		this.formComponents = new Map(
+			[...this.formComponents.entries()]
+				.map(([field, component]) => [reindex(field), component])
+				.filter(([field]) => field !== null)
+		);
+
+		this.touched = reindexKeys(this.touched);
+		this.initialValues = reindexKeys(this.initialValues);
+		this.fieldSnapshots = reindexKeys(this.fieldSnapshots);
+		this.externalErrors = reindexKeys(this.externalErrors);
+
+		if (this.validationResult) {
+			this.validationResult = reindexKeys(this.validationResult);
+			this.updateIsValid(this.validationResult);
+		}
+
+		this.reRenderForm();
 	}
 
 	log(msg) {
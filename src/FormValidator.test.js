@@ -1,4 +1,5 @@
 import FormValidator from "./FormValidator";
+import { toFieldValidations } from "./rule-utils";
 
 /**
  * @type {FormValidator}
@@ -233,3 +234,1292 @@ it("should validate matching passwords", () => {
 	expect(validationRes.password.isInvalid).toBeFalsy();
 	expect(validationRes.confirmPassword.isInvalid).toBeFalsy();
 });
+
+it("should validate using async validation rule", async () => {
+	const validations = [
+		{
+			field: "username",
+			method: ({ value }) => Promise.resolve(value !== "taken"),
+			message: "Username is taken"
+		}
+	];
+
+	formValidator = new FormValidator([], { asyncDebounce: 0 }).registerFieldValidations(validations);
+
+	const validationResult = formValidator.validate({ username: "taken" });
+	expect(validationResult.isValid).toBeFalsy();
+	expect(validationResult.username.isPending).toBeTruthy();
+	expect(formValidator.isValidating("username")).toBeTruthy();
+
+	const asyncValidationResult = await formValidator.validateAsync({ username: "taken" });
+	expect(asyncValidationResult.isValid).toBeFalsy();
+	expect(asyncValidationResult.username.isPending).toBeFalsy();
+	expect(asyncValidationResult.username.message).toBe("Username is taken");
+
+	expect((await formValidator.validateAsync({ username: "free" })).isValid).toBeTruthy();
+	expect(formValidator.isValidating()).toBeFalsy();
+});
+
+it("should not run async rule if synchronous rule fails", async () => {
+	const asyncMethod = jest.fn(() => Promise.resolve(true));
+
+	formValidator = new FormValidator().registerFieldValidations([
+		{ field: "username", method: asyncMethod, async: true },
+		{ field: "username", name: "required" }
+	]);
+
+	const validationResult = await formValidator.validateAsync({ username: "" });
+
+	expect(validationResult.username.message).toBe(FormValidator.globalRules.required.message);
+	expect(asyncMethod).not.toHaveBeenCalled();
+});
+
+it("should debounce async rules", async () => {
+	jest.useFakeTimers();
+
+	const asyncMethod = jest.fn(({ value }) => Promise.resolve(value.length > 2));
+
+	formValidator = new FormValidator().registerFieldValidations([
+		{ field: "username", method: asyncMethod, async: true, debounce: 100 }
+	]);
+
+	formValidator.validate({ username: "f" });
+	formValidator.validate({ username: "fo" });
+	formValidator.validate({ username: "foo" });
+
+	expect(asyncMethod).not.toHaveBeenCalled();
+
+	jest.runAllTimers();
+	jest.useRealTimers();
+
+	const validationResult = await formValidator.whenValidated();
+
+	expect(asyncMethod).toHaveBeenCalledTimes(1);
+	expect(asyncMethod.mock.calls[0][0].value).toBe("foo");
+	expect(validationResult.isValid).toBeTruthy();
+});
+
+it("should debounce wildcard rule once it has returned a promise", async () => {
+	jest.useFakeTimers();
+
+	const asyncMethod = jest.fn(({ value }) => Promise.resolve(value.length > 2));
+
+	formValidator = new FormValidator({
+		schema: { "users.*.username": { validate: { method: asyncMethod, debounce: 100 } } }
+	});
+
+	formValidator.validate({ users: [{ username: "f" }] });
+
+	expect(asyncMethod).toHaveBeenCalledTimes(1);
+	expect(formValidator.fieldValidations[0].async).toBe(true);
+
+	formValidator.validate({ users: [{ username: "fo" }] });
+	formValidator.validate({ users: [{ username: "foo" }] });
+
+	expect(asyncMethod).toHaveBeenCalledTimes(1);
+
+	jest.runAllTimers();
+	jest.useRealTimers();
+
+	const validationResult = await formValidator.whenValidated();
+
+	expect(asyncMethod).toHaveBeenCalledTimes(2);
+	expect(asyncMethod.mock.calls[1][0].value).toBe("foo");
+	expect(validationResult.isValid).toBeTruthy();
+});
+
+it("should discard async result from superseded validation", async () => {
+	const resolvers = [];
+
+	formValidator = new FormValidator([], { asyncDebounce: 0 }).registerFieldValidations([
+		{
+			field: "username",
+			method: ({ value }) => new Promise(resolve => resolvers.push(() => resolve(value !== "taken"))),
+			message: "Username is taken"
+		}
+	]);
+
+	formValidator.validate({ username: "free" });
+	formValidator.validate({ username: "taken" });
+
+	const validated = formValidator.whenValidated();
+
+	// Settle in reverse order, the first (stale) run would otherwise mark field as valid
+	resolvers[1]();
+	resolvers[0]();
+
+	const validationResult = await validated;
+
+	expect(validationResult.isValid).toBeFalsy();
+	expect(validationResult.username.message).toBe("Username is taken");
+});
+
+it("should fail async rule which throws", async () => {
+	const method = () => {
+		throw new Error("Network error");
+	};
+
+	formValidator = new FormValidator([], { asyncDebounce: 0 }).registerFieldValidations([
+		{ field: "username", method, async: true, message: "Could not check username" }
+	]);
+
+	expect(() => formValidator.validate({ username: "foo" })).not.toThrow();
+
+	const validationResult = await formValidator.whenValidated();
+
+	expect(validationResult.isValid).toBeFalsy();
+	expect(validationResult.username.message).toBe("Could not check username");
+});
+
+it("should keep field pending when value changes while async rule is in flight", async () => {
+	let resolve;
+
+	formValidator = new FormValidator([], { asyncDebounce: 0 }).registerFieldValidations([
+		{ field: "username", method: () => new Promise(res => (resolve = res)), message: "Username is taken" }
+	]);
+
+	formValidator.validate({ username: "a" });
+	formValidator.setFieldValue("username", "b");
+
+	const validated = formValidator.whenValidated();
+	resolve(false);
+	const validationResult = await validated;
+
+	expect(validationResult.isValid).toBeFalsy();
+	expect(validationResult.username.isPending).toBeTruthy();
+});
+
+it("should validate untouched fields on submit", async () => {
+	const onValid = jest.fn();
+	const onInvalid = jest.fn();
+	const event = { preventDefault: jest.fn() };
+
+	formValidator = new FormValidator().registerFieldValidations([
+		{ field: "firstName", name: "required" },
+		{ field: "lastName", name: "required" }
+	]);
+
+	formValidator.setFieldValue("firstName", "alice");
+
+	const validationResult = await formValidator.handleSubmit(onValid, onInvalid)(event);
+
+	expect(event.preventDefault).toHaveBeenCalled();
+	expect(validationResult.isValid).toBeFalsy();
+	expect(validationResult.lastName.isInvalid).toBeTruthy();
+	expect(formValidator.touched).toEqual({ firstName: true, lastName: true });
+	expect(onValid).not.toHaveBeenCalled();
+	expect(onInvalid).toHaveBeenCalledWith(validationResult);
+});
+
+it("should invoke onValid with form state on submit", async () => {
+	const onValid = jest.fn();
+
+	formValidator = new FormValidator().registerFieldValidations([{ field: "firstName", name: "required" }]);
+
+	formValidator.setFieldValue("firstName", "alice");
+
+	const validationResult = await formValidator.handleSubmit(onValid)();
+
+	expect(validationResult.isValid).toBeTruthy();
+	expect(onValid).toHaveBeenCalledWith({ firstName: "alice" }, validationResult);
+});
+
+it("should pass error of failed submit to onError when handling an event", async () => {
+	const error = new Error("Could not save");
+	const onError = jest.fn();
+
+	formValidator = new FormValidator();
+
+	const handler = formValidator.handleSubmit(() => Promise.reject(error), undefined, onError);
+
+	await expect(handler({ preventDefault: () => {} })).rejects.toBe(error);
+	expect(onError).toHaveBeenCalledWith(error);
+});
+
+it("should log error of failed submit without onError when handling an event", async () => {
+	const error = new Error("Could not save");
+	const consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+
+	formValidator = new FormValidator();
+
+	await expect(formValidator.handleSubmit(() => Promise.reject(error))({})).rejects.toBe(error);
+	expect(consoleError).toHaveBeenCalledWith(error);
+
+	consoleError.mockClear();
+
+	// Left to caller when not handling an event
+	await expect(formValidator.handleSubmit(() => Promise.reject(error))()).rejects.toBe(error);
+	expect(consoleError).not.toHaveBeenCalled();
+
+	consoleError.mockRestore();
+});
+
+it("should track touched, dirty and pristine state", () => {
+	formValidator = new FormValidator().registerFieldValidations([{ field: "user.name", name: "required" }]);
+	formValidator.setFieldValue("user.name", "alice").setInitialValue("user.name", "alice");
+
+	expect(formValidator.getFieldState("user.name")).toEqual({ touched: false, dirty: false, pristine: true });
+
+	formValidator.setFieldValue("user.name", "bob").setTouched(["user.name"]);
+
+	expect(formValidator.getFieldState("user.name")).toEqual({ touched: true, dirty: true, pristine: false });
+	expect(formValidator.getFieldState()).toEqual({ touched: true, dirty: true, pristine: false });
+
+	formValidator.setFieldValue("user.name", "alice");
+	expect(formValidator.isPristine()).toBeTruthy();
+
+	formValidator.resetTouched();
+	expect(formValidator.isTouched()).toBeFalsy();
+});
+
+it("should reset form", () => {
+	formValidator = new FormValidator().registerFieldValidations([{ field: "name", name: "required" }]);
+	formValidator.setFieldValue("name", "alice").setInitialValue("name", "alice");
+
+	formValidator.setFieldValue("name", "").setTouched();
+	formValidator.validate();
+	formValidator.reset();
+
+	expect(formValidator.formState).toEqual({ name: "alice" });
+	expect(formValidator.validationResult).toBeNull();
+	expect(formValidator.isTouched()).toBeFalsy();
+
+	formValidator.reset({ name: "bob" });
+
+	expect(formValidator.formState).toEqual({ name: "bob" });
+	expect(formValidator.isDirty("name")).toBeFalsy();
+});
+
+it("should notify field subscribers only when field has changed", () => {
+	const usernameListener = jest.fn();
+	const emailListener = jest.fn();
+	const formListener = jest.fn();
+
+	formValidator = new FormValidator().registerFieldValidations([
+		{ field: "username", name: "required" },
+		{ field: "email", name: "email" }
+	]);
+	formValidator.reset({ username: "", email: "" });
+
+	formValidator.subscribeField("username", usernameListener);
+	const unsubscribe = formValidator.subscribeField("email", emailListener);
+	formValidator.subscribeForm(formListener);
+
+	formValidator.validate({ username: "", email: "" });
+	expect(usernameListener).toHaveBeenCalledTimes(1);
+	expect(emailListener).not.toHaveBeenCalled();
+	expect(formListener).toHaveBeenCalledWith(["username"]);
+
+	formValidator.validate({ username: "", email: "" });
+	expect(usernameListener).toHaveBeenCalledTimes(1);
+
+	unsubscribe();
+	formValidator.validate({ username: "", email: "foo" });
+	expect(emailListener).not.toHaveBeenCalled();
+});
+
+it("should validate single field without touching other fields", () => {
+	formValidator = new FormValidator().registerFieldValidations([
+		{ field: "firstName", name: "required" },
+		{ field: "lastName", name: "required" }
+	]);
+
+	let validationResult = formValidator.validateField("firstName", { firstName: "", lastName: "" });
+
+	expect(validationResult.isValid).toBeFalsy();
+	expect(validationResult.firstName.isInvalid).toBeTruthy();
+	expect(validationResult.lastName).toBeUndefined();
+
+	validationResult = formValidator.validateFields(["lastName"], { firstName: "", lastName: "svensson" });
+
+	expect(validationResult.firstName.isInvalid).toBeTruthy();
+	expect(validationResult.lastName.isInvalid).toBeFalsy();
+});
+
+it("should validate group siblings when validating single field", () => {
+	const matchingPasswordsValidation = {
+		method: ({ form: { password, confirmPassword } }) => password === confirmPassword,
+		message: "Passwords does not match",
+		groupId: "matchingPasswords",
+		skipIfEmpty: false
+	};
+
+	formValidator = new FormValidator().registerFieldValidations([
+		{ ...matchingPasswordsValidation, field: "password" },
+		{ ...matchingPasswordsValidation, field: "confirmPassword" },
+		{ field: "username", name: "required" }
+	]);
+
+	const validationResult = formValidator.validateField("password", {
+		password: "Password123",
+		confirmPassword: "Bassword321",
+		username: ""
+	});
+
+	expect(validationResult.password.isInvalid).toBeTruthy();
+	expect(validationResult.confirmPassword.isInvalid).toBeTruthy();
+	expect(validationResult.username).toBeUndefined();
+});
+
+it("should expose failing rule and error code", () => {
+	formValidator = new FormValidator().registerFieldValidations([
+		{ field: "username", name: "required" },
+		{ field: "username", method: ({ value }) => value.length > 2, code: "tooShort" }
+	]);
+
+	let validationResult = formValidator.validate({ username: "" });
+
+	expect(validationResult.username.rule).toBe("required");
+	expect(validationResult.username.code).toBe("required");
+	expect(validationResult.username.errors.length).toBe(1);
+
+	validationResult = formValidator.validate({ username: "fo" });
+
+	expect(validationResult.username.rule).toBeUndefined();
+	expect(validationResult.username.code).toBe("tooShort");
+});
+
+it("should collect all errors of field", () => {
+	const passwordPolicy = [
+		{ name: "minLength", method: ({ value }) => value.length >= 8, message: "At least 8 characters" },
+		{ name: "digit", method: ({ value }) => /\d/.test(value), message: "At least one digit" },
+		{ name: "uppercase", method: ({ value }) => /[A-Z]/.test(value), message: "At least one uppercase letter" }
+	];
+
+	formValidator = new FormValidator(passwordPolicy, { collectAllErrors: true }).registerFieldValidations([
+		{ field: "password", name: "minLength" },
+		{ field: "password", name: "digit" },
+		{ field: "password", name: "uppercase" }
+	]);
+
+	const validationResult = formValidator.validate({ password: "Secret" });
+
+	expect(validationResult.password.message).toBe("At least 8 characters");
+	expect(validationResult.password.errors).toEqual([
+		{ rule: "minLength", code: "minLength", message: "At least 8 characters" },
+		{ rule: "digit", code: "digit", message: "At least one digit" }
+	]);
+});
+
+it("should interpolate message templates", () => {
+	formValidator = new FormValidator().registerFieldValidations([
+		{
+			field: "password",
+			label: "Password",
+			method: ({ value, args }) => value.length >= args[0],
+			args: [8],
+			message: "{label} must be at least {args.0} characters, '{value}' is too short"
+		},
+		{
+			field: "username",
+			method: () => false,
+			message: ({ field, value }) => `${field} ${value} is taken`
+		}
+	]);
+
+	const validationResult = formValidator.validate({ password: "secret", username: "alice" });
+
+	expect(validationResult.password.message).toBe("Password must be at least 8 characters, 'secret' is too short");
+	expect(validationResult.username.message).toBe("username alice is taken");
+});
+
+it("should render global rule messages in current locale and switch locale at runtime", () => {
+	FormValidator.registerGlobalRules([
+		{
+			name: "minLength",
+			method: ({ value, args }) => value.length >= args[0]
+		}
+	]);
+
+	formValidator = new FormValidator([], {
+		locale: "en",
+		messages: {
+			en: { minLength: "{label} must be at least {args.0} characters" },
+			sv: { minLength: "{label} måste vara minst {args.0} tecken" }
+		}
+	}).registerFieldValidations([
+		{ field: "password", label: "Lösenord", name: "minLength", args: [8] },
+		{ field: "username", name: "required", message: { en: "Required", sv: "Obligatorisk" } }
+	]);
+
+	const listener = jest.fn();
+	formValidator.subscribeField("password", listener);
+
+	formValidator.validate({ password: "secret", username: "" });
+	expect(formValidator.validationResult.password.message).toBe("Lösenord must be at least 8 characters");
+	expect(formValidator.validationResult.username.message).toBe("Required");
+
+	formValidator.setLocale("sv");
+	expect(formValidator.validationResult.password.message).toBe("Lösenord måste vara minst 8 tecken");
+	expect(formValidator.validationResult.password.errors[0].message).toBe("Lösenord måste vara minst 8 tecken");
+	expect(formValidator.validationResult.username.message).toBe("Obligatorisk");
+	expect(listener).toHaveBeenCalledTimes(2);
+});
+
+it("should translate messages using translator", () => {
+	const translations = { sv: { "Field is required": "Fältet är obligatoriskt" } };
+
+	formValidator = new FormValidator([], {
+		locale: "sv",
+		translate: (message, { locale }) => translations[locale][message] || message
+	}).registerFieldValidations([{ field: "username", name: "required" }]);
+
+	expect(formValidator.validate({ username: "" }).username.message).toBe("Fältet är obligatoriskt");
+});
+
+it("should validate plain object against schema", () => {
+	formValidator = new FormValidator({
+		schema: {
+			"user.name": "required",
+			"user.email": "required|email",
+			"address.zip": ["required", { method: "isPostalCode", args: ["SE"], message: "Invalid zip code" }]
+		}
+	});
+
+	let validationResult = formValidator.validate({ user: { name: "alice" } }, { includeUndefined: true });
+
+	expect(validationResult.isValid).toBeFalsy();
+	expect(validationResult["user.name"].isInvalid).toBeFalsy();
+	expect(validationResult["user.email"].isInvalid).toBeTruthy();
+	expect(validationResult["address.zip"].isInvalid).toBeTruthy();
+
+	validationResult = formValidator.validate({
+		user: { name: "alice", email: "foo" },
+		address: { zip: "123" }
+	});
+
+	expect(validationResult["user.email"].message).toBe("Ogiltig e-postadress");
+	expect(validationResult["address.zip"].message).toBe("Invalid zip code");
+
+	validationResult = formValidator.validate({
+		user: { name: "alice", email: "alice@example.com" },
+		address: { zip: "123 45" }
+	});
+
+	expect(validationResult.isValid).toBeTruthy();
+});
+
+it("should merge rules of registered component into schema and keep them on unregister", () => {
+	const component = { props: { name: "email" } };
+
+	formValidator = new FormValidator([], { schema: { email: "required" } });
+	formValidator.registerFieldValidations(
+		[
+			{ field: "email", name: "required", message: "Enter your email" },
+			{ field: "email", name: "email" }
+		],
+		component
+	);
+
+	expect(formValidator.fieldValidations.length).toBe(2);
+	expect(formValidator.validate({ email: "" }).email.message).toBe("Enter your email");
+
+	formValidator.unregisterComponent(component);
+
+	expect(formValidator.fieldValidations.map(rule => rule.name)).toEqual(["required"]);
+	expect(formValidator.validationResult.email.isInvalid).toBeTruthy();
+	// Message of component is not left behind on schema rule
+	expect(formValidator.validate({ email: "" }).email.message).toBe("Field is required");
+});
+
+it("should keep overrides of schema rule per component", () => {
+	const first = { props: { name: "email" } };
+	const second = { props: { name: "email" } };
+
+	formValidator = new FormValidator({ schema: { email: { validate: "required", label: "Email" } } });
+	formValidator.registerFieldValidations([{ field: "email", name: "required", message: "First" }], first);
+	formValidator.registerFieldValidations([{ field: "email", name: "required", label: "E-mail" }], second);
+
+	expect(formValidator.fieldValidations).toHaveLength(1);
+	expect(formValidator.fieldValidations[0]).toMatchObject({ message: "Field is required", label: "E-mail" });
+
+	formValidator.unregisterComponent(second);
+
+	expect(formValidator.fieldValidations).toEqual([expect.objectContaining({ label: "Email", fromSchema: true })]);
+	expect(formValidator.fieldValidations[0].component).toBeUndefined();
+});
+
+it("should validate every array item using wildcard rule", () => {
+	formValidator = new FormValidator({
+		schema: {
+			contacts: "minItems",
+			"contacts.*.email": "required|email"
+		}
+	});
+
+	let validationResult = formValidator.validate({ contacts: [] });
+	expect(validationResult.contacts.isInvalid).toBeTruthy();
+	expect(validationResult.contacts.message).toBe("Must have at least 1 items");
+
+	validationResult = formValidator.validate({ contacts: [{ email: "" }, { email: "foo@bar.se" }, { email: "foo" }] });
+
+	expect(validationResult.contacts.isInvalid).toBeFalsy();
+	expect(validationResult["contacts.0.email"].isInvalid).toBeTruthy();
+	expect(validationResult["contacts.1.email"].isInvalid).toBeFalsy();
+	expect(validationResult["contacts.2.email"].message).toBe("Ogiltig e-postadress");
+	expect(formValidator.getFieldResult("contacts[2].email").isInvalid).toBeTruthy();
+	expect(validationResult["contacts.*.email"]).toBeUndefined();
+});
+
+it("should scope validation group of wildcard rule to array item", () => {
+	const phoneOrEmail = {
+		method: ({ group }) => !!(group.phone || group.email),
+		skipIfEmpty: false,
+		groupId: "contact"
+	};
+
+	formValidator = new FormValidator().registerFieldValidations([
+		{ ...phoneOrEmail, field: "contacts.*.phone" },
+		{ ...phoneOrEmail, field: "contacts.*.email" }
+	]);
+
+	const validationResult = formValidator.validate({
+		contacts: [{ phone: "", email: "" }, { phone: "123", email: "" }]
+	});
+
+	expect(validationResult["contacts.0.phone"].isInvalid).toBeTruthy();
+	expect(validationResult["contacts.0.email"].isInvalid).toBeTruthy();
+	expect(validationResult["contacts.1.phone"].isInvalid).toBeFalsy();
+	expect(validationResult["contacts.1.email"].isInvalid).toBeFalsy();
+});
+
+it("should re-index validation result when rows are inserted, removed and moved", () => {
+	formValidator = new FormValidator({ schema: { "contacts.*.email": "required" } });
+
+	formValidator.validate({ contacts: [{ email: "" }, { email: "a" }, { email: "" }] });
+	formValidator.setTouched(["contacts[2].email"]);
+
+	formValidator.removeRow("contacts", 0);
+
+	expect(formValidator.formState.contacts.length).toBe(2);
+	expect(formValidator.getFieldResult("contacts.0.email").isInvalid).toBeFalsy();
+	expect(formValidator.getFieldResult("contacts.1.email").isInvalid).toBeTruthy();
+	expect(formValidator.getFieldResult("contacts.2.email")).toBeUndefined();
+	expect(formValidator.isTouched("contacts.1.email")).toBeTruthy();
+
+	formValidator.insertRow("contacts", { email: "b" }, 0);
+
+	expect(formValidator.getFieldResult("contacts.2.email").isInvalid).toBeTruthy();
+	expect(formValidator.getFieldResult("contacts.0.email")).toBeUndefined();
+
+	formValidator.moveRow("contacts", 2, 0);
+
+	expect(formValidator.formState.contacts.map(c => c.email)).toEqual(["", "b", "a"]);
+	expect(formValidator.getFieldResult("contacts.0.email").isInvalid).toBeTruthy();
+	expect(formValidator.getFieldResult("contacts.2.email").isInvalid).toBeFalsy();
+});
+
+it("should re-index server errors when rows are removed", () => {
+	formValidator = new FormValidator({ schema: { "contacts.*.email": "required" } });
+	formValidator.setFieldValue("contacts", [{ email: "a" }, { email: "b" }, { email: "c" }]);
+	formValidator.setErrors({ "contacts.0.email": "Taken", "contacts.2.email": "Unknown domain" });
+
+	formValidator.removeRow("contacts", 0);
+
+	expect(Object.keys(formValidator.externalErrors)).toEqual(["contacts.1.email"]);
+	expect(formValidator.validate().isValid).toBeFalsy();
+	expect(formValidator.getFieldResult("contacts.0.email").isInvalid).toBeFalsy();
+	expect(formValidator.getFieldResult("contacts.1.email").message).toBe("Unknown domain");
+});
+
+it("should only validate conditional rule when condition is met", () => {
+	formValidator = new FormValidator({
+		schema: {
+			postcode: { validate: "required", when: { field: "country", is: "SE" } },
+			vatNumber: { validate: "required", when: { field: "country", is: ["DK", "NO"] } },
+			phone: { validate: "required", when: form => form.contact === "phone" }
+		}
+	});
+
+	let validationResult = formValidator.validate({ country: "NO", postcode: "", vatNumber: "", phone: "" });
+
+	expect(validationResult.postcode.isInvalid).toBeFalsy();
+	expect(validationResult.vatNumber.isInvalid).toBeTruthy();
+	expect(validationResult.phone.isInvalid).toBeFalsy();
+
+	validationResult = formValidator.validate({
+		country: "SE",
+		contact: "phone",
+		postcode: "",
+		vatNumber: "",
+		phone: ""
+	});
+
+	expect(validationResult.postcode.isInvalid).toBeTruthy();
+	expect(validationResult.vatNumber.isInvalid).toBeFalsy();
+	expect(validationResult.phone.isInvalid).toBeTruthy();
+});
+
+it("should re-validate dependent fields when controlling field is validated", () => {
+	formValidator = new FormValidator({
+		schema: {
+			country: "required",
+			postcode: { validate: "required", when: { field: "country", is: value => value === "SE" } }
+		}
+	});
+
+	formValidator.validate({ country: "SE", postcode: "" });
+	expect(formValidator.getFieldResult("postcode").isInvalid).toBeTruthy();
+
+	// Stale error is cleared when condition no longer is met
+	formValidator.setFieldValue("country", "NO").validateField("country");
+	expect(formValidator.getFieldResult("postcode").isInvalid).toBeFalsy();
+	expect(formValidator.validationResult.isValid).toBeTruthy();
+
+	formValidator.setFieldValue("country", "SE").validateField("country");
+	expect(formValidator.getFieldResult("postcode").isInvalid).toBeTruthy();
+});
+
+it("should not validate dependent field which has not been validated before", () => {
+	formValidator = new FormValidator({
+		schema: {
+			country: "required",
+			postcode: { validate: "required", when: { field: "country", is: "SE" } }
+		}
+	});
+
+	formValidator.setFieldValue("postcode", "").setFieldValue("country", "SE").validateField("country");
+
+	expect(formValidator.getFieldResult("postcode")).toBeUndefined();
+});
+
+it("should resolve condition of wildcard rule within same array row", () => {
+	formValidator = new FormValidator({
+		schema: {
+			"addresses.*.postcode": { validate: "required", when: { field: "addresses.*.country", is: "SE" } }
+		}
+	});
+
+	const validationResult = formValidator.validate({
+		addresses: [{ country: "SE", postcode: "" }, { country: "NO", postcode: "" }]
+	});
+
+	expect(validationResult["addresses.0.postcode"].isInvalid).toBeTruthy();
+	expect(validationResult["addresses.1.postcode"].isInvalid).toBeFalsy();
+});
+
+it("should re-validate field that depends on another field", () => {
+	formValidator = new FormValidator().registerFieldValidations([
+		{ field: "password", name: "required" },
+		{ field: "passwordConfirm", name: "equalsField", args: ["password"], message: "Passwords do not match" }
+	]);
+
+	formValidator.validate({ password: "secret", passwordConfirm: "secret" });
+	expect(formValidator.validationResult.isValid).toBeTruthy();
+
+	formValidator.setFieldValue("password", "secret2").validateField("password");
+
+	// Error is attributed to dependent field, not the one that changed
+	expect(formValidator.getFieldResult("password").isInvalid).toBeFalsy();
+	expect(formValidator.getFieldResult("passwordConfirm").isInvalid).toBeTruthy();
+	expect(formValidator.getFieldResult("passwordConfirm").message).toBe("Passwords do not match");
+
+	formValidator.setFieldValue("passwordConfirm", "secret2").validateField("passwordConfirm");
+	expect(formValidator.validationResult.isValid).toBeTruthy();
+});
+
+it("should compare field with another field using greaterThanField and lessThanField", () => {
+	formValidator = new FormValidator({
+		schema: {
+			endDate: { validate: { name: "greaterThanField", args: ["startDate"] }, message: "End before start" },
+			min: { validate: { name: "lessThanField", args: ["max"] } }
+		}
+	});
+
+	let validationResult = formValidator.validate({ startDate: "2019-05-01", endDate: "2019-04-30", min: 10, max: 9 });
+
+	expect(validationResult.endDate.message).toBe("End before start");
+	expect(validationResult.min.message).toBe("Must be less than max");
+
+	validationResult = formValidator.validate({ startDate: "2019-05-01", endDate: "2019-05-02", min: 9, max: "10" });
+
+	expect(validationResult.isValid).toBeTruthy();
+
+	// Comparison is left to rules of other field when it is empty
+	validationResult = formValidator.validate({ startDate: "", endDate: "2019-05-02", min: 9, max: 10 });
+
+	expect(validationResult.isValid).toBeTruthy();
+});
+
+it("should pass values of dependencies to custom rule", () => {
+	const method = jest.fn(({ value, dependencies: [from, to] }) => value >= from && value <= to);
+
+	formValidator = new FormValidator({
+		schema: { "ranges.*.value": { validate: method, dependsOn: ["ranges.*.from", "ranges.*.to"] } }
+	});
+
+	formValidator.reset({ ranges: [{ from: 1, to: 5, value: 3 }, { from: 1, to: 2, value: 3 }] }).validate();
+
+	expect(formValidator.getFieldResult("ranges.0.value").isInvalid).toBeFalsy();
+	expect(formValidator.getFieldResult("ranges.1.value").isInvalid).toBeTruthy();
+
+	method.mockClear();
+	formValidator.setFieldValue("ranges.1.to", 4).validateField("ranges.1.to");
+
+	expect(method).toHaveBeenCalledTimes(1);
+	expect(formValidator.getFieldResult("ranges.1.value").isInvalid).toBeFalsy();
+});
+
+it("should validate using built-in rules with args in string syntax", () => {
+	formValidator = new FormValidator({
+		schema: {
+			password: "required|minLength:8",
+			age: "between:18,99",
+			size: "oneOf:S,M,L"
+		}
+	});
+
+	let validationResult = formValidator.validate({ password: "secret", age: "17", size: "XL" });
+
+	expect(validationResult.password.message).toBe("Must be at least 8 characters");
+	expect(validationResult.age.message).toBe("Must be between 18 and 99");
+	expect(validationResult.size.message).toBe("Must be one of S,M,L");
+
+	validationResult = formValidator.validate({ password: "secret123", age: 18, size: "M" });
+
+	expect(validationResult.isValid).toBeTruthy();
+});
+
+it("should throw when registering rule with bad args", () => {
+	expect(() => new FormValidator({ schema: { age: "between:18" } })).toThrow(
+		"Invalid args for rule 'between' of field 'age': expected 2 arg(s) but got 1"
+	);
+	expect(() => new FormValidator({ schema: { password: "minLength:abc" } })).toThrow(
+		"expected arg 1 to be a number but got 'abc'"
+	);
+	expect(() => new FormValidator({ schema: { password: "minLenght:8" } })).toThrow(
+		"Missing validation rule 'minLenght'"
+	);
+});
+
+it("should check if value is empty", () => {
+	formValidator = new FormValidator();
+
+	expect(formValidator.isEmpty(0)).toBeFalsy();
+	expect(formValidator.isEmpty(true)).toBeFalsy();
+	expect(formValidator.isEmpty({})).toBeTruthy();
+	expect(formValidator.isEmpty(null)).toBeTruthy();
+});
+
+it("should not skip rules for numbers and booleans that are not empty", () => {
+	const method = jest.fn(() => false);
+
+	formValidator = new FormValidator({ convertNumberToString: false }).registerFieldValidations([
+		{ field: "amount", method },
+		{ field: "accept", method }
+	]);
+
+	const validationResult = formValidator.validate({ amount: 0, accept: true });
+
+	expect(method).toHaveBeenCalledTimes(2);
+	expect(validationResult.amount.isInvalid).toBeTruthy();
+	expect(validationResult.accept.isInvalid).toBeTruthy();
+});
+
+it("should require checkbox to be checked", () => {
+	// Built-in rule rather than the one registered for all tests
+	FormValidator.clearGlobalRules();
+	formValidator = new FormValidator({ schema: { accept: "checked", subscribe: "required" } });
+
+	let validationResult = formValidator.validate({ accept: false, subscribe: false });
+
+	expect(validationResult.accept.isInvalid).toBeTruthy();
+	expect(validationResult.accept.message).toBe("Must be checked");
+	// A boolean, such as "No" of a Yes/No toggle, is a value
+	expect(validationResult.subscribe.isInvalid).toBeFalsy();
+
+	validationResult = formValidator.validate({ accept: true });
+
+	expect(validationResult.accept.isInvalid).toBeFalsy();
+	expect(formValidator.isRequired("accept")).toBeTruthy();
+});
+
+it("should normalize values before validation", () => {
+	formValidator = new FormValidator({
+		normalize: "trim",
+		schema: {
+			name: "required",
+			age: { validate: { name: "min", args: [18] }, normalize: "number" },
+			birthDate: { validate: { method: ({ value }) => value instanceof Date }, normalize: "date" }
+		}
+	});
+
+	const validationResult = formValidator.validate({ name: "  ", age: " 17 ", birthDate: "2001-01-01" });
+
+	expect(validationResult.name.isInvalid).toBeTruthy();
+	expect(validationResult.age.isInvalid).toBeTruthy();
+	expect(validationResult.age.message).toBe("Must be at least 18");
+	expect(validationResult.birthDate.isInvalid).toBeFalsy();
+});
+
+it("should validate non-string values using validator.js methods", () => {
+	formValidator = new FormValidator().registerFieldValidations([
+		{ field: "emails", method: "isEmail" },
+		{ field: "date", method: "isISO8601" }
+	]);
+
+	let validationResult = formValidator.validate({ emails: ["foo@bar.se", "bar@foo.se"], date: new Date() });
+
+	expect(validationResult.isValid).toBeTruthy();
+
+	validationResult = formValidator.validate({ emails: ["foo@bar.se", "bar"], date: new Date() });
+
+	expect(validationResult.emails.isInvalid).toBeTruthy();
+});
+
+it("should use custom empty check of field", () => {
+	// I.e. a moment-like object of a date picker which has not been set
+	const date = value => ({ isValid: () => value !== undefined, toISOString: () => value });
+	const isEmpty = value => !value || !value.isValid();
+
+	formValidator = new FormValidator({
+		schema: {
+			from: { validate: "required", isEmpty },
+			to: { validate: { method: "isISO8601" }, isEmpty }
+		}
+	});
+
+	let validationResult = formValidator.validate({ from: date(), to: date() });
+
+	expect(validationResult.from.isInvalid).toBeTruthy();
+	expect(validationResult.to.isInvalid).toBeFalsy();
+
+	validationResult = formValidator.validate({ from: date("2019-01-01"), to: date("foo") });
+
+	expect(validationResult.from.isInvalid).toBeFalsy();
+	expect(validationResult.to.isInvalid).toBeTruthy();
+});
+
+it("should keep errors set on fields until their value changes", () => {
+	formValidator = new FormValidator({ schema: { "address.city": "required", name: "required" } });
+	formValidator.reset({ address: { city: "Atlantis" }, name: "alice" });
+	formValidator.validate();
+
+	formValidator.setErrors({ "address.city": "Unknown city" });
+
+	expect(formValidator.getFieldResult("address.city")).toMatchObject({
+		isInvalid: true,
+		message: "Unknown city",
+		code: "server"
+	});
+	expect(formValidator.validationResult.isValid).toBeFalsy();
+
+	// Rules pass, but value is the same as when error was set
+	formValidator.validate();
+	expect(formValidator.getFieldResult("address.city").message).toBe("Unknown city");
+
+	formValidator.setFieldValue("address.city", "Stockholm");
+	expect(formValidator.getFieldResult("address.city")).toBeUndefined();
+	expect(formValidator.validationResult.isValid).toBeTruthy();
+
+	formValidator.validate();
+	expect(formValidator.getFieldResult("address.city").isInvalid).toBeFalsy();
+});
+
+it("should set several errors on field without rules and notify subscribers", () => {
+	const listener = jest.fn();
+
+	formValidator = new FormValidator({ collectAllErrors: true });
+	formValidator.reset({ username: "alice" });
+	formValidator.subscribeField("username", listener);
+
+	formValidator.setFieldError("username", ["{label} is taken", "Try {value}2"]);
+
+	expect(listener).toHaveBeenCalledTimes(1);
+	expect(formValidator.getFieldResult("username").errors.map(error => error.message)).toEqual([
+		"username is taken",
+		"Try alice2"
+	]);
+
+	formValidator.clearErrors();
+
+	expect(listener).toHaveBeenCalledTimes(2);
+	expect(formValidator.getFieldResult("username")).toBeUndefined();
+});
+
+it("should set field and form errors from API response", async () => {
+	const listener = jest.fn();
+
+	formValidator = new FormValidator({ schema: { email: "required" } });
+	formValidator.reset({ email: "alice@example.com" });
+	formValidator.subscribeForm(listener);
+
+	formValidator.setApiErrors({ errors: { email: "Already registered", _error: "Could not save user" } });
+
+	expect(formValidator.getFieldResult("email").message).toBe("Already registered");
+	expect(formValidator.getFormErrors()).toEqual(["Could not save user"]);
+	expect(listener).toHaveBeenCalled();
+
+	// Form errors are cleared on submit, field errors are kept as value has not changed
+	const result = await formValidator.handleSubmit(() => {})();
+
+	expect(formValidator.getFormErrors()).toEqual([]);
+	expect(result.isValid).toBeFalsy();
+});
+
+it("should map API errors using custom mapper", () => {
+	formValidator = new FormValidator({
+		mapErrors: response => ({ fields: { [response.property]: response.reason }, form: [] })
+	});
+
+	formValidator.setApiErrors({ property: "email", reason: "Taken" });
+
+	expect(formValidator.getFieldResult("email").message).toBe("Taken");
+});
+
+it("should return structured validation summary", () => {
+	formValidator = new FormValidator({
+		collectAllErrors: true,
+		schema: {
+			name: { validate: "required", label: "Name" },
+			password: "minLength:8|pattern:\\d"
+		}
+	});
+
+	formValidator.validate({ name: "", password: "secret" });
+	formValidator.setFieldError("username", "Taken");
+
+	const summary = formValidator.getValidationSummary();
+
+	expect(summary.isValid).toBeFalsy();
+	expect(Object.keys(summary.fields)).toEqual(["name", "password", "username"]);
+	expect(summary.errors).toEqual([
+		{ field: "name", label: "Name", rule: "required", code: "required", message: "Field is required" },
+		{ field: "password", rule: "minLength", code: "minLength", message: "Must be at least 8 characters" },
+		{ field: "password", rule: "pattern", code: "pattern", message: "Invalid format" },
+		{ field: "username", rule: undefined, code: "server", message: "Taken" }
+	]);
+	expect(summary.errorCount).toBe(4);
+	expect(summary.formErrors).toEqual([]);
+	expect(formValidator.validationResult.isValid).toBe(summary.isValid);
+	expect(formValidator.validationSummary).toEqual(summary);
+});
+
+it("should tell if field is required, considering condition of rule", () => {
+	formValidator = new FormValidator({
+		schema: {
+			name: "required",
+			email: "email",
+			company: { validate: "required", when: { field: "type", is: "business" } }
+		}
+	});
+
+	expect(formValidator.isRequired("name")).toBeTruthy();
+	expect(formValidator.isRequired("email")).toBeFalsy();
+	expect(formValidator.isRequired("company")).toBeFalsy();
+
+	formValidator.setFieldValue("type", "business");
+
+	expect(formValidator.isRequired("company")).toBeTruthy();
+});
+
+it("should return ARIA attributes of field", () => {
+	formValidator = new FormValidator({ schema: { "rows.*.name": "required" } });
+
+	const messageId = formValidator.getMessageId("rows[0].name");
+
+	expect(messageId).toBe(formValidator.idPrefix + "-rows-0-name-message");
+	expect(new FormValidator().getMessageId("rows.0.name")).not.toBe(messageId);
+
+	formValidator.validate({ rows: [{ name: "" }] });
+
+	expect(formValidator.getAriaProps("rows.0.name", "hint")).toEqual({
+		"aria-invalid": true,
+		"aria-required": true,
+		"aria-describedby": "hint " + messageId
+	});
+	expect(formValidator.getAriaProps("email")).toEqual({
+		"aria-invalid": false,
+		"aria-required": undefined,
+		"aria-describedby": undefined
+	});
+});
+
+it("should validate fields of scope only", () => {
+	formValidator = new FormValidator();
+
+	formValidator.step("account").registerFieldValidations(toRules("email", "email"));
+	formValidator.step("address").registerFieldValidations(toRules("street", "required"));
+	formValidator.step(undefined).registerFieldValidations(toRules("comment", "required"));
+
+	formValidator.setFieldValue("email", "foo");
+
+	const result = formValidator.validateScope("address");
+
+	expect(result).toEqual({ isValid: false, street: formValidator.getFieldResult("street") });
+	expect(formValidator.getFieldResult("email")).toBeUndefined();
+	expect(formValidator.isTouched("street")).toBeTruthy();
+	expect(formValidator.getScopeFields("address")).toEqual(["street"]);
+
+	expect(formValidator.validateScope("account").isValid).toBeFalsy();
+	expect(formValidator.getInvalidScopes()).toEqual(["account", "address"]);
+
+	formValidator.setFieldValue("email", "foo@example.com");
+
+	expect(formValidator.validateScope("account")).toEqual({
+		isValid: true,
+		email: { isInvalid: false, message: "" }
+	});
+	expect(formValidator.getInvalidScopes()).toEqual(["address"]);
+});
+
+it("should keep rules and state of persistent scope when component unmounts", () => {
+	formValidator = new FormValidator();
+
+	const addressInput = { props: { name: "street" } };
+	const commentInput = { props: { name: "comment" } };
+
+	formValidator
+		.step("address", { persist: true })
+		.registerFieldValidations(toRules("street", "required"), addressInput);
+	formValidator.step("comment").registerFieldValidations(toRules("comment", "required"), commentInput);
+	formValidator.setTouched(["street", "comment"]);
+
+	formValidator.unregisterComponent(addressInput);
+	formValidator.unregisterComponent(commentInput);
+
+	expect(formValidator.fieldValidations.map(rule => rule.field)).toEqual(["street"]);
+	expect(formValidator.formComponents.has("street")).toBeFalsy();
+	expect(formValidator.isTouched("street")).toBeTruthy();
+	expect(formValidator.validate({}, { includeUndefined: true }).street.isInvalid).toBeTruthy();
+
+	// Mounted again, rules are declared anew
+	const nextAddressInput = { props: { name: "street" } };
+	formValidator.step("address").registerFieldValidations(toRules("street", "required"), nextAddressInput);
+
+	expect(formValidator.fieldValidations).toHaveLength(1);
+	expect(formValidator.fieldValidations[0].component).toBe(nextAddressInput);
+	expect(formValidator.getFieldResult("street").isInvalid).toBeTruthy();
+});
+
+function toRules(field, validate) {
+	return toFieldValidations(validate, formValidator.formRules, { field });
+}
+
+it("should include results of attached child validator", () => {
+	const child = new FormValidator({
+		rules: [{ name: "zip", method: ({ value }) => /^\d{5}$/.test(value), message: "Invalid zip" }],
+		schema: { street: "required", zip: "zip" }
+	});
+
+	formValidator = new FormValidator({ schema: { name: "required" } });
+	formValidator.attachChild("billing.address", child);
+
+	const result = formValidator.validate({ name: "Foo", billing: { address: { street: "Main st", zip: "123" } } });
+
+	expect(result.isValid).toBeFalsy();
+	expect(result["billing.address.zip"].message).toBe("Invalid zip");
+	expect(child.formState).toEqual({ street: "Main st", zip: "123" });
+
+	const listener = jest.fn();
+	formValidator.subscribeField("billing.address.zip", listener);
+
+	// Values set on either validator are seen by both
+	formValidator.setFieldValue("billing.address.zip", "12345");
+	child.validateField("zip");
+
+	expect(listener).toHaveBeenCalled();
+	expect(formValidator.getFieldResult("billing.address.zip").isInvalid).toBeFalsy();
+	expect(formValidator.validationResult.isValid).toBeTruthy();
+
+	formValidator.validateField("billing.address.street", { billing: { address: { street: "" } } });
+
+	expect(child.getFieldResult("street").isInvalid).toBeTruthy();
+	expect(formValidator.validationResult.isValid).toBeFalsy();
+
+	formValidator.detachChild(child);
+
+	expect(formValidator.getFieldResult("billing.address.street")).toBeUndefined();
+	expect(formValidator.validationResult.isValid).toBeTruthy();
+	expect(child.formState).toEqual({ street: "", zip: "12345" });
+});
+
+it("should wait for async rules of child validator", async () => {
+	const child = new FormValidator({
+		asyncDebounce: 0,
+		schema: { email: { validate: { method: () => Promise.resolve(false), message: "Taken" } } }
+	});
+
+	formValidator = new FormValidator().attachChild("user", child);
+
+	const result = await formValidator.validateAsync({ user: { email: "foo@example.com" } });
+
+	expect(result["user.email"].message).toBe("Taken");
+	expect(result.isValid).toBeFalsy();
+});
+
+it("should emit events", async () => {
+	formValidator = new FormValidator({ schema: { name: "required", email: "email" } });
+
+	const onValidate = jest.fn();
+	const onFieldChange = jest.fn();
+	const onSubmit = jest.fn();
+	const events = [];
+
+	formValidator.on("validate", onValidate);
+	formValidator.on("fieldChange", onFieldChange);
+	formValidator.on("submit", onSubmit);
+	const unsubscribe = formValidator.subscribe(event => events.push(event));
+
+	formValidator.setFieldValue("name", "Foo");
+	formValidator.setFieldValue("name", "Foo");
+	formValidator.setInputValue({ target: { name: "email", value: "foo" } });
+
+	expect(onFieldChange.mock.calls).toEqual([
+		[{ field: "name", value: "Foo", previousValue: undefined }],
+		[{ field: "email", value: "foo", previousValue: undefined }]
+	]);
+
+	formValidator.validateField("email");
+
+	expect(onValidate).toHaveBeenCalledTimes(1);
+	expect(onValidate.mock.calls[0][0]).toMatchObject({
+		isValid: false,
+		previousResult: null,
+		changes: [{ field: "email", value: "foo", previous: undefined, next: { isInvalid: true } }]
+	});
+
+	// Unchanged result is not emitted again
+	formValidator.validateField("email");
+	expect(onValidate).toHaveBeenCalledTimes(1);
+
+	formValidator.setFieldValue("email", "foo@example.com").validateField("email");
+
+	expect(onValidate).toHaveBeenCalledTimes(2);
+	expect(onValidate.mock.calls[1][0].isValid).toBeTruthy();
+	const { changes } = onValidate.mock.calls[1][0];
+	expect(changes.map(({ previous, next }) => [previous.isInvalid, next.isInvalid])).toEqual([[true, false]]);
+
+	await formValidator.handleSubmit()();
+
+	expect(onSubmit).toHaveBeenCalledWith({
+		formState: formValidator.formState,
+		result: formValidator.validationResult,
+		isValid: true
+	});
+
+	unsubscribe();
+	formValidator.setFieldValue("name", "Bar");
+
+	// Submit validates name for the first time
+	expect(events).toEqual(["fieldChange", "fieldChange", "validate", "fieldChange", "validate", "validate", "submit"]);
+});
+
+it("should emit register and unregister events", () => {
+	formValidator = new FormValidator();
+
+	const listener = jest.fn();
+	const component = { props: { name: "name" } };
+
+	formValidator.subscribe(listener);
+	formValidator.registerFieldValidations(toRules("name", "required|minLength:2"), component);
+	formValidator.unregisterComponent(component);
+
+	expect(listener.mock.calls).toEqual([
+		["register", { field: "name", component }],
+		["unregister", { field: "name", component, retained: false }]
+	]);
+});
+
+it("should export rules that round-trip through JSON", () => {
+	formValidator = new FormValidator({
+		rules: [{ name: "zip", method: "isPostalCode", args: ["SE"], validWhen: true, message: "Invalid zip" }],
+		schema: {
+			email: "required|email",
+			zip: { validate: "zip", normalize: "trim", when: { field: "country", is: "SE" }, label: "Zip" },
+			"contacts.*.phone": [{ method: "isNumeric", message: "Only digits" }, "minLength:6"],
+			password: "required",
+			repeatPassword: { validate: "equalsField:password", message: "{label} must match" }
+		}
+	});
+
+	const json = formValidator.exportRules();
+
+	expect(json.rules).toEqual([
+		{ name: "zip", method: "isPostalCode", args: ["SE"], validWhen: true, message: "Invalid zip" }
+	]);
+	expect(json.globalRules.map(rule => rule.name)).toEqual(["required", "email"]);
+	expect(json.fields.zip).toEqual([
+		{ name: "zip", label: "Zip", when: { field: "country", is: "SE" }, normalize: "trim" }
+	]);
+	expect(json.fields["contacts.*.phone"]).toEqual([
+		{ method: "isNumeric", validWhen: true, skipIfEmpty: true, message: "Only digits" },
+		{ name: "minLength", args: [6] }
+	]);
+
+	FormValidator.clearGlobalRules();
+
+	const serverValidator = FormValidator.fromJSON(JSON.stringify(json));
+	const data = {
+		email: "foo",
+		country: "SE",
+		zip: " 123 ",
+		contacts: [{ phone: "12345a" }],
+		password: "secret",
+		repeatPassword: "secret"
+	};
+
+	// Exported global rules are form rules of created validator
+	expect(serverValidator.exportRules()).toEqual({
+		...json,
+		globalRules: [],
+		rules: [...json.globalRules, ...json.rules]
+	});
+	expect(serverValidator.validate(data)).toEqual(formValidator.validate(data));
+	expect(FormValidator.globalRules).toEqual({});
+});
+
+it("should throw when exporting rules which can not be serialized", () => {
+	formValidator = new FormValidator({
+		rules: [{ name: "even", method: ({ value }) => value % 2 === 0 }],
+		schema: { count: "even" }
+	});
+
+	expect(() => formValidator.exportRules()).toThrow("'method' of rule 'even' can not be serialized");
+
+	formValidator = new FormValidator({ schema: { name: { validate: "required", when: () => true } } });
+
+	expect(() => formValidator.exportRules()).toThrow("Rule 'required' of field 'name' can not be serialized");
+});
+
+it("should throw when registering rule with missing validator.js method", () => {
+	const json = { rules: [{ name: "zip", method: "isPostalCod", args: ["SE"] }], fields: { zip: [{ name: "zip" }] } };
+
+	expect(() => FormValidator.fromJSON(json)).toThrow("Invalid/missing validation method 'isPostalCod' of rule 'zip'");
+	expect(() => new FormValidator({ schema: { email: { validate: { method: "isEmal" } } } })).toThrow(
+		"Invalid/missing validation method 'isEmal' for field 'email'"
+	);
+	expect(() => FormValidator.registerGlobalRules([{ name: "foo", method: "isFoo" }])).toThrow(
+		"Invalid/missing validation method 'isFoo' of rule 'foo'"
+	);
+});
+
+it("should only export rules that fields use", () => {
+	FormValidator.registerGlobalRules([{ name: "custom", method: ({ value }) => value === "custom" }]);
+	formValidator = new FormValidator({
+		rules: [
+			{ name: "even", method: ({ value }) => value % 2 === 0 },
+			{ name: "zip", method: "isPostalCode", args: ["SE"] }
+		],
+		schema: { email: "email", zip: "zip" }
+	});
+
+	const json = formValidator.exportRules();
+
+	expect(json.globalRules.map(rule => rule.name)).toEqual(["email"]);
+	expect(json.rules.map(rule => rule.name)).toEqual(["zip"]);
+});
+
+it("should declare scopes by option and when fields are registered into them", () => {
+	formValidator = new FormValidator({
+		scopes: { address: { persist: true } },
+		schema: { street: { validate: "required", scope: "address" }, email: { validate: "email", scope: "account" } }
+	});
+
+	expect(formValidator.scopes).toEqual({ address: { persist: true }, account: { persist: false } });
+	expect(formValidator.currentScope).toBeUndefined();
+
+	formValidator.validate({ street: "", email: "foo" });
+
+	expect(formValidator.getInvalidScopes()).toEqual(["address", "account"]);
+});
@@ -0,0 +1,48 @@
+import React from "react";
+import PropTypes from "prop-types";
+import FormValidator from "./FormValidator";
+import ValidatorContext from "./ValidatorContext";
+
+/**
+ * Renders a form which provides validator to all fields within it, so that
+ * `validator` prop does not have to be passed to each field explicitly.
+ *
+ * Submitting the form will validate all registered fields and invoke `onSubmit`
+ * only if form is valid.
+ *
+ * ```
+ * <ValidationForm validator={this.validator} onSubmit={user => save(user)}>
+ * 	<Input name="email" validate="required|email" />
+ * </ValidationForm>
+ * ```
+ */
+export default class ValidationForm extends React.Component {
+	static propTypes = {
+		// The FormValidator instance
+		validator: PropTypes.instanceOf(FormValidator).isRequired,
+		// Invoked with form state and validation result when a valid form is submitted
+		onSubmit: PropTypes.func,
+		// Invoked with validation result when an invalid form is submitted
+		onInvalid: PropTypes.func,
+		// Invoked with error when `onSubmit` or `onInvalid` throws or rejects, which is logged by default
+		onError: PropTypes.func,
+		children: PropTypes.node
+	};
+
+	handleSubmit = e => {
+		const { validator, onSubmit, onInvalid, onError } = this.props;
+		return validator.handleSubmit(onSubmit, onInvalid, onError)(e);
+	};
+
+	render() {
+		const { validator, onSubmit, onInvalid, onError, children, ...rest } = this.props;
+
+		return (
+			<ValidatorContext.Provider value={validator}>
+				<form noValidate {...rest} onSubmit={this.handleSubmit}>
+					{children}
+				</form>
+			</ValidatorContext.Provider>
+		);
+	}
+}
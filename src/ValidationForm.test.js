@@ -0,0 +1,95 @@
+import React from "react";
+import { mount } from "enzyme";
+import FormValidator from "./FormValidator";
+import ValidationForm from "./ValidationForm";
+import withValidation from "./withValidation";
+import { useValidatedField } from "./hooks";
+
+let validator;
+
+const Input = withValidation(
+	({ validationResult, isInvalid, validationMessage, isValidating, touched, dirty, pristine, ...props }) => (
+		<input {...props} />
+	)
+);
+
+const HookInput = ({ name }) => {
+	const { bind } = useValidatedField(name, "required", { value: "" });
+	return <input {...bind} />;
+};
+
+beforeAll(() => {
+	FormValidator.registerGlobalRules([
+		{
+			name: "required",
+			method: "isEmpty",
+			message: "Field is required",
+			validWhen: false,
+			skipIfEmpty: false
+		}
+	]);
+});
+
+afterAll(() => FormValidator.clearGlobalRules());
+
+beforeEach(() => {
+	validator = new FormValidator();
+});
+
+it("should provide validator to fields through context", () => {
+	mount(
+		<ValidationForm validator={validator}>
+			<Input name="foo" value="" onChange={() => {}} validate="required" />
+			<HookInput name="bar" />
+		</ValidationForm>
+	);
+
+	expect(validator.fieldValidations.map(rule => rule.field)).toEqual(["foo", "bar"]);
+});
+
+it("should prefer validator passed as prop over context", () => {
+	const otherValidator = new FormValidator();
+
+	mount(
+		<ValidationForm validator={validator}>
+			<Input name="foo" value="" onChange={() => {}} validate="required" validator={otherValidator} />
+		</ValidationForm>
+	);
+
+	expect(validator.fieldValidations.length).toBe(0);
+	expect(otherValidator.fieldValidations.length).toBe(1);
+});
+
+it("should validate all fields on submit", async () => {
+	const onSubmit = jest.fn();
+	const onInvalid = jest.fn();
+
+	const component = mount(
+		<ValidationForm validator={validator} onSubmit={onSubmit} onInvalid={onInvalid}>
+			<Input name="foo" value="" onChange={() => {}} validate="required" />
+		</ValidationForm>
+	);
+
+	await component.find("form").props().onSubmit({ preventDefault: () => {} });
+
+	expect(onSubmit).not.toHaveBeenCalled();
+	expect(onInvalid).toHaveBeenCalled();
+	expect(validator.validationResult.foo.isInvalid).toBeTruthy();
+});
+
+it("should pass error of failed submit to onError", async () => {
+	const error = new Error("Could not save");
+	const onError = jest.fn();
+
+	const component = mount(
+		<ValidationForm validator={validator} onSubmit={() => Promise.reject(error)} onError={onError}>
+			<Input name="foo" value="bar" onChange={() => {}} validate="required" />
+		</ValidationForm>
+	);
+
+	component.find("form").simulate("submit");
+	await new Promise(resolve => setTimeout(resolve));
+
+	expect(onError).toHaveBeenCalledWith(error);
+	expect(component.find("form").prop("onError")).toBeUndefined();
+});
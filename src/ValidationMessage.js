@@ -0,0 +1,78 @@
+import React from "react";
+import PropTypes from "prop-types";
+import FormValidator from "./FormValidator";
+import ValidatorContext from "./ValidatorContext";
+
+/**
+ * Renders validation message of a field in a live region, with the id that input of field
+ * is described by when it has been wrapped with `withValidation(Input, { aria: true })`.
+ * Region is rendered even while field is valid, so that screen readers announce the message
+ * once it is set.
+ *
+ * ```
+ * <Input name="email" validate="required|email" />
+ * <ValidationMessage name="email" className="error" />
+ * ```
+ *
+ * Children may be a function, which is invoked with message and validation result of field
+ * and returns content of region:
+ *
+ * ```
+ * <ValidationMessage name="email">
+ * 	{({ message, isInvalid }) => isInvalid && <strong>{message}</strong>}
+ * </ValidationMessage>
+ * ```
+ */
+export default class ValidationMessage extends React.Component {
+	static propTypes = {
+		// Name of field
+		name: PropTypes.string.isRequired,
+		// The FormValidator instance, will fallback to validator provided by `ValidationForm`
+		validator: PropTypes.instanceOf(FormValidator),
+		// Optional render function of message
+		children: PropTypes.func
+	};
+
+	static contextType = ValidatorContext;
+
+	/**
+	 * Form validator instance
+	 * @type {FormValidator}
+	 */
+	validator = this.props.validator || this.context;
+
+	componentDidMount() {
+		if (this.validator) {
+			this.unsubscribe = this.validator.subscribeField(this.props.name, () => this.forceUpdate());
+		}
+	}
+
+	componentDidUpdate(prevProps) {
+		if (this.validator && this.props.name !== prevProps.name) {
+			this.unsubscribe();
+			this.unsubscribe = this.validator.subscribeField(this.props.name, () => this.forceUpdate());
+		}
+	}
+
+	componentWillUnmount() {
+		if (this.unsubscribe) {
+			this.unsubscribe();
+		}
+	}
+
+	render() {
+		const { name, validator, children, ...rest } = this.props;
+
+		if (!this.validator) return null;
+
+		const validationResult = this.validator.getFieldResult(name);
+		const isInvalid = !!(validationResult && validationResult.isInvalid);
+		const message = isInvalid ? validationResult.message : "";
+
+		return (
+			<span id={this.validator.getMessageId(name)} role="alert" aria-live="assertive" {...rest}>
+				{children ? children({ message, isInvalid, validationResult }) : message}
+			</span>
+		);
+	}
+}
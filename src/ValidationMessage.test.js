@@ -0,0 +1,64 @@
+import React from "react";
+import { mount } from "enzyme";
+import FormValidator from "./FormValidator";
+import ValidationForm from "./ValidationForm";
+import ValidationMessage from "./ValidationMessage";
+import withValidation from "./withValidation";
+
+let validator;
+
+const Input = withValidation(
+	({
+		validationResult,
+		isInvalid,
+		validationMessage,
+		validationMessageId,
+		isValidating,
+		touched,
+		dirty,
+		pristine,
+		...props
+	}) => <input {...props} />,
+	{ aria: true }
+);
+
+beforeEach(() => {
+	validator = new FormValidator();
+});
+
+it("should render message of field in a live region that input is described by", () => {
+	const component = mount(
+		<ValidationForm validator={validator}>
+			<Input name="email" value="foo" onChange={() => {}} validate="email" />
+			<ValidationMessage name="email" className="error" />
+		</ValidationForm>
+	);
+
+	expect(component.find("span.error").text()).toBe("");
+	expect(component.find("span.error").prop("role")).toBe("alert");
+
+	component.find("input").simulate("blur", { target: { name: "email", value: "foo" } });
+	component.update();
+
+	const message = component.find("span.error");
+	expect(message.text()).toBe("Invalid email address");
+	expect(component.find("input").prop("aria-describedby")).toBe(message.prop("id"));
+});
+
+it("should render message using render function", () => {
+	const component = mount(
+		<div>
+			<Input name="name" value="" onChange={() => {}} validator={validator} validate="required" />
+			<ValidationMessage name="name" validator={validator}>
+				{({ message, isInvalid }) => isInvalid && <strong>{message}</strong>}
+			</ValidationMessage>
+		</div>
+	);
+
+	expect(component.find("strong").exists()).toBeFalsy();
+
+	validator.validate();
+	component.update();
+
+	expect(component.find("strong").text()).toBe("Field is required");
+});
@@ -0,0 +1,85 @@
+import React from "react";
+import PropTypes from "prop-types";
+import FormValidator from "./FormValidator";
+import ValidatorContext from "./ValidatorContext";
+
+let summaryCount = 0;
+
+/**
+ * Renders an accessible summary of all errors in form, with buttons that focus
+ * each registered field. Errors which are not related to a specific field are
+ * listed first. Nothing is rendered while there are no errors.
+ *
+ * ```
+ * <ValidationForm validator={this.validator} onSubmit={user => save(user)}>
+ * 	<ValidationSummary title="Please correct the following" />
+ * 	<Input name="email" validate="required|email" />
+ * </ValidationForm>
+ * ```
+ */
+export default class ValidationSummary extends React.Component {
+	static propTypes = {
+		// The FormValidator instance, will fallback to validator provided by `ValidationForm`
+		validator: PropTypes.instanceOf(FormValidator),
+		// Heading of summary
+		title: PropTypes.node
+	};
+
+	static defaultProps = {
+		title: "There is a problem"
+	};
+
+	static contextType = ValidatorContext;
+
+	/**
+	 * Form validator instance
+	 * @type {FormValidator}
+	 */
+	validator = this.props.validator || this.context;
+
+	titleId = "validation-summary-title-" + ++summaryCount;
+
+	componentDidMount() {
+		if (this.validator) {
+			this.unsubscribe = this.validator.subscribeForm(() => this.forceUpdate());
+		}
+	}
+
+	componentWillUnmount() {
+		if (this.unsubscribe) {
+			this.unsubscribe();
+		}
+	}
+
+	render() {
+		const { validator, title, ...rest } = this.props;
+
+		if (!this.validator) return null;
+
+		const { errors, formErrors } = this.validator.getValidationSummary();
+
+		if (!errors.length && !formErrors.length) return null;
+
+		return (
+			<div role="alert" aria-labelledby={this.titleId} tabIndex={-1} {...rest}>
+				<h2 id={this.titleId}>{title}</h2>
+				<ul>
+					{formErrors.map((message, i) => (
+						<li key={"form-" + i}>{message}</li>
+					))}
+					{errors.map((error, i) => (
+						<li key={error.field + "-" + i}>
+							{this.validator.canFocus(error.field) ? (
+								<button type="button" onClick={() => this.validator.focusField(error.field)}>
+									{error.message}
+								</button>
+							) : (
+								error.message
+							)}
+						</li>
+					))}
+				</ul>
+			</div>
+		);
+	}
+}
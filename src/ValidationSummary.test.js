@@ -0,0 +1,93 @@
+import React from "react";
+import { mount } from "enzyme";
+import FormValidator from "./FormValidator";
+import ValidationForm from "./ValidationForm";
+import ValidationSummary from "./ValidationSummary";
+import withValidation from "./withValidation";
+
+let validator;
+
+const Input = withValidation(
+	({ validationResult, isInvalid, validationMessage, isValidating, touched, dirty, pristine, ...props }) => (
+		<input {...props} />
+	)
+);
+
+beforeEach(() => {
+	validator = new FormValidator();
+});
+
+const mountForm = () =>
+	mount(
+		<ValidationForm validator={validator}>
+			<ValidationSummary title="Please correct the following" />
+			<Input name="name" value="" onChange={() => {}} validate="required" label="Name" />
+			<Input name="email" value="foo" onChange={() => {}} validate="email" />
+		</ValidationForm>
+	);
+
+it("should not render anything while there are no errors", () => {
+	const component = mountForm();
+
+	expect(component.find("[role='alert']").exists()).toBeFalsy();
+});
+
+it("should list errors with buttons that focus fields", async () => {
+	const component = mountForm();
+
+	await component.find("form").props().onSubmit({ preventDefault: () => {} });
+	component.update();
+
+	const summary = component.find("[role='alert']");
+
+	expect(summary.find("h2").text()).toBe("Please correct the following");
+	expect(summary.prop("aria-labelledby")).toBe(summary.find("h2").prop("id"));
+	expect(summary.find("button").map(button => [button.prop("type"), button.text()])).toEqual([
+		["button", "Field is required"],
+		["button", "Invalid email address"]
+	]);
+
+	const focus = jest.spyOn(validator.formComponents.get("email"), "focus").mockImplementation(() => {});
+
+	summary
+		.find("button")
+		.at(1)
+		.simulate("click");
+
+	expect(focus).toHaveBeenCalled();
+
+	validator.setFieldValue("name", "alice").setFieldValue("email", "foo@bar.se").validate();
+	component.update();
+
+	expect(component.find("[role='alert']").exists()).toBeFalsy();
+});
+
+it("should list form errors and errors of fields that are not registered", () => {
+	const component = mountForm();
+
+	validator.setApiErrors({ errors: { _error: "Could not save", "address.city": "Unknown city" } });
+	component.update();
+
+	expect(component.find("li").map(item => item.text())).toEqual(["Could not save", "Unknown city"]);
+	expect(component.find("li button").exists()).toBeFalsy();
+});
+
+it("should render buttons for fields of attached child validators", () => {
+	const addressValidator = new FormValidator({ schema: { street: "required" } });
+	const street = { props: { name: "street" }, focus: jest.fn() };
+
+	addressValidator.registerFieldValidations([{ field: "street", name: "required" }], street);
+	validator.attachChild("billing.address", addressValidator);
+
+	const component = mount(<ValidationSummary validator={validator} />);
+
+	validator.validate({ billing: { address: { street: "" } } });
+	component.update();
+
+	expect(validator.canFocus("billing.address.street")).toBeTruthy();
+	expect(validator.canFocus("billing.address.zip")).toBeFalsy();
+
+	component.find("li button").simulate("click");
+
+	expect(street.focus).toHaveBeenCalled();
+});
@@ -0,0 +1,8 @@
+import React from "react";
+
+/**
+ * React context which provides a FormValidator instance to fields, see `ValidationForm`.
+ */
+const ValidatorContext = React.createContext(null);
+
+export default ValidatorContext;
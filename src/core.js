@@ -0,0 +1,35 @@
+/**
+ * Entry point without React components, for validating data outside of a browser, i.e. request
+ * bodies in a Node backend with rules exported by `FormValidator.exportRules()`.
+ */
+import FormValidator from "./FormValidator";
+import {
+	bindInputValue,
+	bindValue,
+	getInputValue,
+	moveValue,
+	normalizePath,
+	pushValue,
+	removeValue
+} from "./form-utils";
+import { isEmptyValue, normalizers } from "./value-utils";
+import { mapApiErrors } from "./error-mappers";
+import { actionTypes, createFormReducer, createStoreAdapter, formActions } from "./redux";
+
+export {
+	FormValidator,
+	bindInputValue,
+	bindValue,
+	getInputValue,
+	normalizePath,
+	pushValue,
+	removeValue,
+	moveValue,
+	isEmptyValue,
+	normalizers,
+	mapApiErrors,
+	actionTypes,
+	createFormReducer,
+	createStoreAdapter,
+	formActions
+};
@@ -0,0 +1,11 @@
+jest.mock("react", () => {
+	throw new Error("Core must not import react");
+});
+
+it("should not import react", () => {
+	const { FormValidator } = require("./core");
+
+	const validator = new FormValidator({ schema: { email: "required|email" } });
+
+	expect(validator.validate({ email: "foo" }).isValid).toBeFalsy();
+});
@@ -0,0 +1,24 @@
+const FOCUSABLE_SELECTOR = "input, select, textarea, button, [tabindex]";
+
+/**
+ * Scrolls provided DOM node into view and focuses it or, if node itself
+ * is not focusable, its first focusable descendant.
+ *
+ * @param {Object} node DOM node
+ */
+export const focusElement = node => {
+	if (!node) return;
+
+	const focusable =
+		node.matches && node.matches(FOCUSABLE_SELECTOR)
+			? node
+			: node.querySelector && node.querySelector(FOCUSABLE_SELECTOR);
+
+	if (node.scrollIntoView) {
+		node.scrollIntoView({ block: "center" });
+	}
+
+	if (focusable && focusable.focus) {
+		focusable.focus();
+	}
+};
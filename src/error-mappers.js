@@ -0,0 +1,101 @@
+import { normalizePath } from "./form-utils";
+
+/**
+ * Keys of error objects which hold errors that are not related to a specific field.
+ */
+const FORM_ERROR_KEYS = ["_error", "_form", "non_field_errors", "nonFieldErrors"];
+
+/**
+ * Keys of a response which are not field errors, when errors are not nested in `errors`.
+ */
+const RESPONSE_KEYS = ["message", "error", "status", "statusCode", "code"];
+
+const toArray = value => (Array.isArray(value) ? value : [value]);
+
+const isMessages = value =>
+	typeof value === "string" || (Array.isArray(value) && value.every(message => typeof message === "string"));
+
+/**
+ * Converts a JSON pointer, as used in `source.pointer` of JSON:API errors, to a field path.
+ *
+ * `/data/attributes/address/city` -> `address.city`
+ */
+const pointerToPath = pointer =>
+	pointer
+		.replace(/^\/data(\/attributes)?\/?/, "")
+		.split("/")
+		.filter(Boolean)
+		.join(".");
+
+/**
+ * Maps common shapes of API error responses into field errors and form errors:
+ *
+ * - `{ errors: { "address.city": "Unknown city", name: ["Too short", "Taken"] } }`
+ * - `{ errors: [{ field: "address.city", message: "Unknown city" }] }`, where field may also be
+ *   set as `path` (string or array) or `param` and message as `msg`, `detail` or `title`. Other keys,
+ *   such as `name` which often is name of error class, are not taken as field
+ * - JSON:API errors, `{ errors: [{ source: { pointer: "/data/attributes/city" }, detail: "Unknown city" }] }`
+ * - Any of the above as response itself, rather than nested in `errors`, i.e. `{ email: ["Taken"] }`
+ *
+ * Errors without a field, and errors set as `_error`, `_form`, `non_field_errors` or `nonFieldErrors`,
+ * as well as `message` or `error` of a response without any other errors, are mapped as form errors.
+ *
+ * @param {Object|Array|String} response
+ * @returns {{ fields: Object, form: Array<String> }} messages mapped by field, and form errors
+ */
+export const mapApiErrors = response => {
+	const fields = {};
+	const form = [];
+
+	const addFieldErrors = (field, messages) => {
+		const path = normalizePath(Array.isArray(field) ? field.join(".") : String(field));
+		fields[path] = [...(fields[path] || []), ...toArray(messages)];
+	};
+
+	if (!response) {
+		return { fields, form };
+	}
+
+	if (typeof response === "string") {
+		return { fields, form: [response] };
+	}
+
+	const errors = response.errors !== undefined ? response.errors : response;
+
+	if (Array.isArray(errors)) {
+		errors.forEach(error => {
+			if (typeof error === "string") {
+				form.push(error);
+				return;
+			}
+
+			const pointer = error.source && error.source.pointer;
+			const field = error.field || error.path || error.param || (pointer && pointerToPath(pointer));
+			const message = error.message || error.msg || error.detail || error.title;
+
+			if (field) {
+				addFieldErrors(field, message);
+			} else {
+				form.push(message);
+			}
+		});
+	} else if (errors && typeof errors === "object") {
+		const isResponse = errors === response;
+
+		Object.keys(errors).forEach(key => {
+			if (FORM_ERROR_KEYS.includes(key)) {
+				form.push(...toArray(errors[key]));
+			} else if (!isResponse || (!RESPONSE_KEYS.includes(key) && isMessages(errors[key]))) {
+				addFieldErrors(key, errors[key]);
+			}
+		});
+	}
+
+	const message = response.message || response.error;
+
+	if (!form.length && !Object.keys(fields).length && typeof message === "string") {
+		form.push(message);
+	}
+
+	return { fields, form };
+};
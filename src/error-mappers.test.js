@@ -0,0 +1,54 @@
+import { mapApiErrors } from "./error-mappers";
+
+it("should map errors mapped by field", () => {
+	expect(
+		mapApiErrors({ errors: { "address.city": "Unknown city", "phones[0]": ["Invalid", "Taken"], _error: "Failed" } })
+	).toEqual({
+		fields: { "address.city": ["Unknown city"], "phones.0": ["Invalid", "Taken"] },
+		form: ["Failed"]
+	});
+});
+
+it("should map array of errors", () => {
+	expect(
+		mapApiErrors({
+			errors: [
+				{ field: "email", message: "Taken" },
+				{ path: ["address", "city"], message: "Unknown city" },
+				{ param: "name", msg: "Required" },
+				{ message: "Something went wrong" },
+				"Try again later"
+			]
+		})
+	).toEqual({
+		fields: { email: ["Taken"], "address.city": ["Unknown city"], name: ["Required"] },
+		form: ["Something went wrong", "Try again later"]
+	});
+});
+
+it("should not take name of error as field", () => {
+	expect(mapApiErrors({ errors: [{ name: "ValidationError", message: "Invalid request" }] })).toEqual({
+		fields: {},
+		form: ["Invalid request"]
+	});
+});
+
+it("should map JSON:API errors", () => {
+	expect(
+		mapApiErrors({
+			errors: [
+				{ source: { pointer: "/data/attributes/address/city" }, detail: "Unknown city" },
+				{ title: "Forbidden" }
+			]
+		})
+	).toEqual({ fields: { "address.city": ["Unknown city"] }, form: ["Forbidden"] });
+});
+
+it("should map errors which are not nested in errors", () => {
+	expect(
+		mapApiErrors({ email: ["Taken"], non_field_errors: ["Invalid"], status: 400, message: "Bad request" })
+	).toEqual({ fields: { email: ["Taken"] }, form: ["Invalid"] });
+	expect(mapApiErrors({ status: 500, message: "Server error" })).toEqual({ fields: {}, form: ["Server error"] });
+	expect(mapApiErrors("Server error")).toEqual({ fields: {}, form: ["Server error"] });
+	expect(mapApiErrors(undefined)).toEqual({ fields: {}, form: [] });
+});
@@ -1,5 +1,82 @@
 import objectPath from "object-path";
 
+/**
+ * If value passed to a change handler is an event, rather than a value passed by a custom widget.
+ *
+ * @param {*} event
+ */
+export const isInputEvent = event =>
+	!!event && typeof event === "object" && !!event.target && typeof event.target === "object";
+
+/**
+ * Returns all checkboxes in the same form as target that share its name, if there are several.
+ */
+const getCheckboxGroup = target => {
+	if (!target.form || !target.name) return null;
+
+	const group = Array.from(target.form.elements).filter(
+		element => element.type === "checkbox" && element.name === target.name
+	);
+	return group.length > 1 ? group : null;
+};
+
+/**
+ * Returns value of event target, depending on type of input:
+ *
+ * - checkbox: `checked`, or array of checked values if several checkboxes in form share name or if
+ *   current value is an array
+ * - radio: `value` if checked, otherwise current value
+ * - select-multiple: array of selected values
+ * - number and range: a number, or an empty string if empty
+ * - date: a Date, or an empty string if empty
+ * - file: the `FileList`
+ * - anything else: `value`
+ *
+ * Values that are not events, i.e. passed by a custom widget as `onChange(value)`, are returned as is.
+ *
+ * @param {Object|*} event
+ * @param {*=} currentValue current value of field, used for radios and checkbox groups
+ */
+export const getInputValue = (event, currentValue) => {
+	if (!isInputEvent(event)) return event;
+
+	const { target } = event;
+
+	switch (target.type) {
+		case "checkbox": {
+			const group = getCheckboxGroup(target);
+
+			if (group) return group.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+
+			if (Array.isArray(currentValue)) {
+				const others = currentValue.filter(value => value !== target.value);
+				return target.checked ? [...others, target.value] : others;
+			}
+
+			return target.checked;
+		}
+		case "radio":
+			// I.e. when an unchecked radio is blurred
+			return target.checked ? target.value : currentValue;
+		case "select-multiple":
+			return Array.from(target.options)
+				.filter(option => option.selected)
+				.map(option => option.value);
+		case "number":
+		case "range":
+			if (target.value === "") return "";
+			if (typeof target.valueAsNumber === "number" && !isNaN(target.valueAsNumber)) return target.valueAsNumber;
+			return isNaN(target.value) ? target.value : Number(target.value);
+		case "date":
+			if (target.value === "") return "";
+			return target.valueAsDate || new Date(target.value);
+		case "file":
+			return target.files;
+		default:
+			return target.value;
+	}
+};
+
 /**
  * Binds value for provided event target value to object.
  * This is useful when binding form values to a state object.
@@ -7,19 +84,92 @@ import objectPath from "object-path";
  * Object path is set from target name and accepts nested paths.
  * If any intermediate object does not exist, it will be created.
  *
- * @param {Object} event
+ * Value is read depending on type of input, see `getInputValue()`. Custom widgets which
+ * pass a value rather than an event to their change handler are supported, but then
+ * `name` has to be provided. Throws if name of field can not be resolved.
+ *
+ * @param {Object|*} event change event or value
  * @param {Object} obj object to bind value to
+ * @param {String=} name name of field, defaults to name of event target
+ */
+export const bindInputValue = (event, obj, name = isInputEvent(event) ? event.target.name : undefined) => {
+	if (!name) {
+		throw new Error(
+			"Missing name of field to bind value to, either pass 'name' or an event of an input with a 'name' attribute"
+		);
+	}
+
+	const currentValue = objectPath.get(obj || {}, normalizePath(name));
+	return bindValue(name, getInputValue(event, currentValue), obj);
+};
+
+/**
+ * Handles change of a field wrapped by `withValidation` or `useValidatedField`, which is invoked
+ * with a change event or with the value by custom widgets.
+ *
+ * @param {FormValidator} validator
+ * @param {String} name name of field
+ * @param {Array<String>} validateOn events that field is validated on
+ * @param {Object|*} event change event or value
  */
-export const bindInputValue = ({ target }, obj) => {
-	const value = target.type === "checkbox" ? target.checked : target.value;
-	const name = target.name;
+export const handleFieldChange = (validator, name, validateOn, event) => {
+	validator.setInputValue(event, name);
 
-	return bindValue(name, value, obj);
+	if (validateOn.includes("change")) {
+		validator.validateField(name);
+	}
+};
+
+/**
+ * Handles blur of a field wrapped by `withValidation` or `useValidatedField`, see `handleFieldChange()`.
+ *
+ * @param {FormValidator} validator
+ * @param {String} name name of field
+ * @param {Array<String>} validateOn events that field is validated on
+ * @param {Object=} event blur event
+ */
+export const handleFieldBlur = (validator, name, validateOn, event) => {
+	validator.setTouched([name]);
+
+	if (validateOn.includes("blur")) {
+		// Value is bound on change, but read again from an input of field in case change was missed. Custom
+		// widgets may forward blur of an inner element, such as a search input, whose value is not of field
+		if (isInputEvent(event) && normalizePath(event.target.name) === normalizePath(name)) {
+			validator.setInputValue(event, name);
+		}
+		validator.validateField(name);
+	} else {
+		validator.reRenderForm();
+	}
+};
+
+const isIndex = key => /^\d+$/.test(key);
+
+const shallowCopy = obj => {
+	if (Array.isArray(obj)) return obj.slice();
+
+	const proto = Object.getPrototypeOf(obj);
+	return proto === Object.prototype ? { ...obj } : Object.assign(Object.create(proto), obj);
+};
+
+const setIn = (target, keys, value) => {
+	if (keys.length === 0) return value;
+
+	const [key, ...rest] = keys;
+	const copy = target !== null && typeof target === "object" ? shallowCopy(target) : isIndex(key) ? [] : {};
+
+	copy[key] = setIn(copy[key], rest, value);
+	return copy;
 };
 
 /**
  * Binds value to field path on object and returns new, updated object.
  *
+ * Only objects and arrays along the path are copied, everything else is shared with
+ * target which is left untouched. Values such as dates, files and class instances are
+ * kept as they are, and copies of class instances keep their prototype. Missing
+ * intermediate objects are created, as arrays if next key is an index.
+ *
  * Example:
  *
  * Value: "1" and path "foo.bar" ->  `{ foo: { bar: 1 }}`.
@@ -28,9 +178,131 @@ export const bindInputValue = ({ target }, obj) => {
  * @param {any} value
  * @param {Object|Array} target
  */
-export const bindValue = (path, value, target) => {
-	// TODO: Can we improve performance for deep clone?
-	const newTarget = JSON.parse(JSON.stringify(target || {}));
-	objectPath.set(newTarget, path, value);
-	return newTarget;
+export const bindValue = (path, value, target) => setIn(target || {}, String(normalizePath(path)).split("."), value);
+
+/**
+ * Normalizes path so that array indexes in brackets are written as dot separated segments.
+ *
+ * Example:
+ *
+ * `user.phones[3].number` -> `user.phones.3.number`
+ *
+ * @param {String} path
+ */
+export const normalizePath = path =>
+	typeof path === "string" ? path.replace(/\[([^\]]+)\]/g, ".$1").replace(/^\./, "") : path;
+
+/**
+ * Expands a path containing wildcards (`*`) into all matching paths in object.
+ * A wildcard matches every item of an array, or every key of an object.
+ *
+ * Example:
+ *
+ * `contacts.*.email` and `{ contacts: [{}, {}] }` -> `contacts.0.email`, `contacts.1.email`
+ *
+ * @param {String} pattern
+ * @param {Object} obj
+ * @returns {Array<{ path: String, wildcards: Array<String> }>} matching paths, along with values of wildcards
+ */
+export const expandPath = (pattern, obj) => {
+	const segments = normalizePath(pattern).split(".");
+
+	const expand = (i, value, path, wildcards) => {
+		if (i === segments.length) {
+			return [{ path: path.join("."), wildcards }];
+		}
+
+		const segment = segments[i];
+
+		if (segment !== "*") {
+			const child = value === undefined || value === null ? undefined : value[segment];
+			return expand(i + 1, child, [...path, segment], wildcards);
+		}
+
+		if (!value || typeof value !== "object") {
+			return [];
+		}
+
+		return Object.keys(value).reduce(
+			(paths, key) => [...paths, ...expand(i + 1, value[key], [...path, key], [...wildcards, key])],
+			[]
+		);
+	};
+
+	return expand(0, obj, [], []);
+};
+
+/**
+ * Replaces wildcards (`*`) in path with provided values, in order.
+ *
+ * @param {String} pattern
+ * @param {Array<String>} wildcards
+ */
+export const fillWildcards = (pattern, wildcards = []) => {
+	let i = 0;
+	return normalizePath(pattern)
+		.split(".")
+		.map(segment => (segment === "*" && i < wildcards.length ? wildcards[i++] : segment))
+		.join(".");
+};
+
+/**
+ * Inserts item into array at path and returns new, updated object.
+ * Item is appended if no index is provided.
+ *
+ * @param {String} path path of array
+ * @param {any} item
+ * @param {Object} target
+ * @param {Number=} index
+ */
+export const pushValue = (path, item, target, index) => {
+	const items = [...(objectPath.get(target || {}, normalizePath(path)) || [])];
+	items.splice(index === undefined ? items.length : index, 0, item);
+	return bindValue(path, items, target);
+};
+
+/**
+ * Removes item at index from array at path and returns new, updated object.
+ *
+ * @param {String} path path of array
+ * @param {Number} index
+ * @param {Object} target
+ */
+export const removeValue = (path, index, target) => {
+	const items = [...(objectPath.get(target || {}, normalizePath(path)) || [])];
+	items.splice(index, 1);
+	return bindValue(path, items, target);
+};
+
+/**
+ * Moves item in array at path from one index to another and returns new, updated object.
+ *
+ * @param {String} path path of array
+ * @param {Number} from
+ * @param {Number} to
+ * @param {Object} target
+ */
+export const moveValue = (path, from, to, target) => {
+	const items = [...(objectPath.get(target || {}, normalizePath(path)) || [])];
+	items.splice(to, 0, ...items.splice(from, 1));
+	return bindValue(path, items, target);
+};
+
+/**
+ * Checks if two values are deeply equal. Dates are compared by time.
+ *
+ * @param {any} a
+ * @param {any} b
+ */
+export const isEqual = (a, b) => {
+	if (a === b) return true;
+	if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+	if (a instanceof Date || b instanceof Date) {
+		return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+	}
+	if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+	const keys = Object.keys(a);
+
+	return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
 };
@@ -1,4 +1,15 @@
-import { bindInputValue, bindValue } from "./form-utils";
+import {
+	bindInputValue,
+	bindValue,
+	expandPath,
+	fillWildcards,
+	getInputValue,
+	isEqual,
+	moveValue,
+	normalizePath,
+	pushValue,
+	removeValue
+} from "./form-utils";
 
 it("should bind input value to nested property", () => {
 	const state = { foo: { baz: 1 } };
@@ -28,3 +39,179 @@ it("should bind nested value to array", () => {
 	const res = bindValue("foo.0.bar", "bar", { foo: [{}] });
 	expect(res.foo[0].bar).toBe("bar");
 });
+
+it("should deep compare values", () => {
+	expect(isEqual({ foo: [1, { bar: "baz" }] }, { foo: [1, { bar: "baz" }] })).toBeTruthy();
+	expect(isEqual({ foo: [1, { bar: "baz" }] }, { foo: [1, { bar: "qux" }] })).toBeFalsy();
+	expect(isEqual(new Date(0), new Date(0))).toBeTruthy();
+	expect(isEqual("", undefined)).toBeFalsy();
+});
+
+it("should bind value using bracket notation for array indexes", () => {
+	const res = bindValue("user.phones[1].number", "123", { user: { phones: [{ number: "1" }, {}] } });
+	expect(res.user.phones[1].number).toBe("123");
+	expect(res.user.phones[0].number).toBe("1");
+});
+
+it("should normalize path", () => {
+	expect(normalizePath("user.phones[3].number")).toBe("user.phones.3.number");
+	expect(normalizePath("[0].name")).toBe("0.name");
+	expect(normalizePath("contacts[*].email")).toBe("contacts.*.email");
+});
+
+it("should expand wildcard path", () => {
+	const obj = { contacts: [{ email: "a" }, { email: "b" }], groups: { a: { tags: ["x"] }, b: { tags: [] } } };
+
+	expect(expandPath("contacts.*.email", obj)).toEqual([
+		{ path: "contacts.0.email", wildcards: ["0"] },
+		{ path: "contacts.1.email", wildcards: ["1"] }
+	]);
+	expect(expandPath("groups.*.tags.*", obj)).toEqual([{ path: "groups.a.tags.0", wildcards: ["a", "0"] }]);
+	expect(expandPath("missing.*.email", obj)).toEqual([]);
+	expect(fillWildcards("contacts.*.phone", ["1"])).toBe("contacts.1.phone");
+});
+
+it("should push, remove and move array items", () => {
+	const state = { contacts: [{ name: "a" }, { name: "b" }] };
+
+	expect(pushValue("contacts", { name: "c" }, state).contacts.map(c => c.name)).toEqual(["a", "b", "c"]);
+	expect(pushValue("contacts", { name: "c" }, state, 0).contacts.map(c => c.name)).toEqual(["c", "a", "b"]);
+	expect(removeValue("contacts", 0, state).contacts.map(c => c.name)).toEqual(["b"]);
+	expect(moveValue("contacts", 0, 1, state).contacts.map(c => c.name)).toEqual(["b", "a"]);
+	expect(state.contacts.length).toBe(2);
+});
+
+it("should only copy objects along path when binding value", () => {
+	const state = { user: { name: "alice", address: { city: "Stockholm" } }, tags: ["a"] };
+	const res = bindValue("user.name", "bob", state);
+
+	expect(res.user.name).toBe("bob");
+	expect(state.user.name).toBe("alice");
+	expect(res).not.toBe(state);
+	expect(res.user).not.toBe(state.user);
+	expect(res.user.address).toBe(state.user.address);
+	expect(res.tags).toBe(state.tags);
+});
+
+it("should preserve values that are not JSON when binding value", () => {
+	class Money {
+		constructor(amount) {
+			this.amount = amount;
+		}
+
+		format() {
+			return this.amount + " kr";
+		}
+	}
+
+	const file = { name: "cv.pdf" };
+	const state = {
+		birthDate: new Date(2000, 0, 1),
+		attachments: [file],
+		middleName: undefined,
+		lookup: new Map([["a", 1]]),
+		price: new Money(10)
+	};
+	const res = bindValue("price.amount", 20, state);
+
+	expect(res.birthDate).toBe(state.birthDate);
+	expect(res.attachments[0]).toBe(file);
+	expect("middleName" in res).toBeTruthy();
+	expect(res.lookup.get("a")).toBe(1);
+	expect(res.price).toBeInstanceOf(Money);
+	expect(res.price.format()).toBe("20 kr");
+	expect(state.price.amount).toBe(10);
+});
+
+/**
+ * Creates state with `sectionCount` sections, each with `fieldCount` fields.
+ */
+const createLargeState = (sectionCount, fieldCount) =>
+	[...Array(sectionCount).keys()].reduce((state, i) => {
+		state["section" + i] = {
+			rows: [...Array(fieldCount).keys()].map(j => ({ id: j, value: "value" + j, nested: { a: { b: j } } }))
+		};
+		return state;
+	}, {});
+
+it("should bind value to large nested state without copying all of it", () => {
+	const state = createLargeState(100, 100);
+	const res = bindValue("section50.rows.50.nested.a.b", "foo", state);
+
+	expect(res.section50.rows[50].nested.a.b).toBe("foo");
+	// Only objects along the path are copied
+	expect(res).not.toBe(state);
+	expect(res.section50).not.toBe(state.section50);
+	expect(res.section50.rows).not.toBe(state.section50.rows);
+	expect(res.section50.rows[50]).not.toBe(state.section50.rows[50]);
+	expect(res.section50.rows[50].nested).not.toBe(state.section50.rows[50].nested);
+	expect(res.section50.rows[50].nested.a).not.toBe(state.section50.rows[50].nested.a);
+	// Anything else is shared with previous state
+	Object.keys(state)
+		.filter(section => section !== "section50")
+		.forEach(section => expect(res[section]).toBe(state[section]));
+	state.section50.rows.forEach((row, i) => i !== 50 && expect(res.section50.rows[i]).toBe(row));
+	expect(state.section50.rows[50].nested.a.b).toBe(50);
+});
+
+it("should share untouched branches across repeated binds", () => {
+	const state = createLargeState(10, 10);
+	let res = state;
+
+	for (let i = 0; i < 5; i++) {
+		res = bindValue(`section${i}.rows.${i}.value`, "foo" + i, res);
+	}
+
+	expect(res.section4.rows[4].value).toBe("foo4");
+	expect(res.section4.rows[3]).toBe(state.section4.rows[3]);
+	expect(res.section4.rows[4].nested).toBe(state.section4.rows[4].nested);
+	[5, 6, 7, 8, 9].forEach(i => expect(res["section" + i]).toBe(state["section" + i]));
+	expect(state.section4.rows[4].value).toBe("value4");
+});
+
+it("should get value of inputs depending on type", () => {
+	const files = { length: 1, 0: { name: "cv.pdf" } };
+
+	expect(getInputValue({ target: { type: "text", value: "foo" } })).toBe("foo");
+	expect(getInputValue({ target: { type: "checkbox", checked: true, value: "on" } })).toBe(true);
+	expect(getInputValue({ target: { type: "radio", checked: true, value: "b" } }, "a")).toBe("b");
+	expect(getInputValue({ target: { type: "radio", checked: false, value: "b" } }, "a")).toBe("a");
+	expect(getInputValue({ target: { type: "number", value: "12", valueAsNumber: 12 } })).toBe(12);
+	expect(getInputValue({ target: { type: "range", value: "5" } })).toBe(5);
+	expect(getInputValue({ target: { type: "number", value: "" } })).toBe("");
+	expect(getInputValue({ target: { type: "date", value: "2019-01-02" } }).getTime()).toBe(Date.UTC(2019, 0, 2));
+	expect(getInputValue({ target: { type: "date", value: "" } })).toBe("");
+	expect(getInputValue({ target: { type: "file", files } })).toBe(files);
+
+	const options = [{ value: "a", selected: true }, { value: "b" }, { value: "c", selected: true }];
+	expect(getInputValue({ target: { type: "select-multiple", options } })).toEqual(["a", "c"]);
+});
+
+it("should get checked values of checkbox group", () => {
+	expect(getInputValue({ target: { type: "checkbox", checked: true, value: "b" } }, ["a"])).toEqual(["a", "b"]);
+	expect(getInputValue({ target: { type: "checkbox", checked: false, value: "a" } }, ["a", "b"])).toEqual(["b"]);
+
+	const form = document.createElement("form");
+	form.innerHTML = `
+		<input type="checkbox" name="colors" value="red" checked />
+		<input type="checkbox" name="colors" value="green" />
+		<input type="checkbox" name="colors" value="blue" checked />
+	`;
+
+	expect(getInputValue({ target: form.elements[1] })).toEqual(["red", "blue"]);
+});
+
+it("should bind value of custom widget", () => {
+	const state = { user: { tags: [] } };
+
+	expect(bindInputValue(["a", "b"], state, "user.tags").user.tags).toEqual(["a", "b"]);
+	const event = { target: { type: "checkbox", name: "user.tags", value: "c", checked: true } };
+	expect(bindInputValue(event, state).user.tags).toEqual(["c"]);
+});
+
+it("should throw when binding a value without name of field", () => {
+	expect(() => bindInputValue("foo", {})).toThrow("Missing name of field to bind value to");
+	expect(() => bindInputValue({ target: { type: "text", value: "foo" } }, {})).toThrow(
+		"Missing name of field to bind value to"
+	);
+});
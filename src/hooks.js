@@ -0,0 +1,197 @@
+import { useContext, useEffect, useReducer, useRef } from "react";
+import FormValidator from "./FormValidator";
+import ValidatorContext from "./ValidatorContext";
+import { focusElement } from "./dom-utils";
+import { handleFieldBlur, handleFieldChange } from "./form-utils";
+import { parseArray, toFieldValidations } from "./rule-utils";
+
+/**
+ * Hook that creates a FormValidator instance which is kept across renders
+ * of the function component.
+ *
+ * ```
+ * const validator = useFormValidator([], { defaultMessage: "Invalid" });
+ * ```
+ *
+ * @param {Array<Object>=} validationRules form validation rules
+ * @param {Object=} opts same options as FormValidator constructor
+ * @returns {FormValidator}
+ */
+export const useFormValidator = (validationRules, opts) => {
+	const validatorRef = useRef(null);
+
+	if (!validatorRef.current) {
+		validatorRef.current = new FormValidator(validationRules, opts);
+	}
+
+	return validatorRef.current;
+};
+
+/**
+ * Hook that adds validation to a field, which is the hooks counterpart to `withValidation`.
+ *
+ * Field is registered on validator when component mounts and unregistered when it unmounts,
+ * and its registration follows along if `name` changes, i.e. when array rows are re-indexed.
+ * Returned `bind` contains `name`, `value`, `onChange`, `onBlur` and `ref` which should
+ * be spread onto input element.
+ *
+ * ```
+ * const { bind, isInvalid, validationMessage } = useValidatedField("email", "required|email", {
+ * 	validator,
+ * 	value: user.email,
+ * 	onChange: e => setUser(bindInputValue(e, user))
+ * });
+ *
+ * <input {...bind} />
+ * ```
+ *
+ * With `aria: true`, `bind` contains `aria-invalid`, `aria-required` and `aria-describedby` as well,
+ * where the latter refers to `messageId` while field is invalid. Render a `ValidationMessage` for
+ * field to display message with that id.
+ *
+ * Note that validation rules are registered once, changing `validate` between renders has no effect.
+ *
+ * @param {String} name name of field
+ * @param {String|Array|Function|Object} validate validation rule(s), same formats as for `withValidation`
+ * @param {Object} opts
+ * @param {FormValidator=} opts.validator the FormValidator instance, defaults to one provided by `ValidationForm`
+ * @param {String|Array} opts.validateOn which event(s) to validate on, "blur" and/or "change"
+ * @param {*} opts.value value of field
+ * @param {String|Function|Object=} opts.validationMessage custom validation message, overrides message of rule(s)
+ * @param {String=} opts.label label of field, used in message templates
+ * @param {String=} opts.validationGroup optional validation group id
+ * @param {Object|Function=} opts.validateWhen condition which rules are only validated when met
+ * @param {String|Function|Array=} opts.normalize normalizer(s) of value before it is validated
+ * @param {Function=} opts.isEmpty check if value is empty
+ * @param {String=} opts.scope scope that field is registered into, such as a step of a wizard
+ * @param {Boolean=} opts.aria if to include ARIA attributes in `bind`
+ * @param {Function=} opts.onChange invoked on change, after value has been set on validator
+ * @param {Function=} opts.onBlur invoked on blur
+ */
+export const useValidatedField = (
+	name,
+	validate,
+	{
+		validator: validatorOption,
+		validateOn = "blur",
+		value,
+		validationMessage,
+		validationGroup,
+		validateWhen,
+		normalize,
+		isEmpty,
+		scope,
+		label,
+		aria,
+		onChange,
+		onBlur
+	} = {}
+) => {
+	const contextValidator = useContext(ValidatorContext);
+	const validator = validatorOption || contextValidator;
+	const [, forceUpdate] = useReducer(x => x + 1, 0);
+	const elementRef = useRef(null);
+	const registrationRef = useRef(null);
+	const validateOnEvents = parseArray(validateOn);
+
+	if (!registrationRef.current) {
+		// Stands in for a component instance in validator's registry of form components
+		registrationRef.current = {
+			props: { name },
+			focus: () => focusElement(elementRef.current)
+		};
+	}
+
+	useEffect(() => {
+		if (!validator) return;
+
+		const registration = registrationRef.current;
+
+		if (validate) {
+			validator.registerFieldValidations(
+				toFieldValidations(validate, validator.formRules, {
+					field: name,
+					message: validationMessage,
+					groupId: validationGroup,
+					label,
+					when: validateWhen,
+					normalize,
+					isEmpty,
+					scope
+				}),
+				registration
+			);
+
+			if (value !== undefined) {
+				validator.setFieldValue(name, value).setInitialValue(name, value);
+			}
+
+			if (aria) {
+				// Rules were not registered on first render, i.e. for `aria-required`
+				forceUpdate();
+			}
+		}
+
+		return () => validator.unregisterComponent(registration);
+	}, [validator]);
+
+	useEffect(() => {
+		if (!validator) return;
+
+		const registration = registrationRef.current;
+
+		if (registration.props.name !== name) {
+			// I.e. when array rows has been re-indexed
+			const previousName = registration.props.name;
+			registration.props = { name };
+			validator.renameComponent(registration, previousName);
+		}
+
+		return validator.subscribeField(name, forceUpdate);
+	}, [validator, name]);
+
+	useEffect(() => {
+		if (validator && value !== undefined) {
+			validator.setFieldValue(name, value);
+		}
+	}, [validator, name, value]);
+
+	// Invoked with a change event, or with the value by custom widgets
+	const handleChange = e => {
+		if (validator) {
+			handleFieldChange(validator, name, validateOnEvents, e);
+		}
+
+		onChange && onChange(e);
+	};
+
+	const handleBlur = e => {
+		if (validator) {
+			handleFieldBlur(validator, name, validateOnEvents, e);
+		}
+
+		onBlur && onBlur(e);
+	};
+
+	const validationResult = validator && validator.getFieldResult(name);
+	const fieldState = validator ? validator.getFieldState(name) : {};
+
+	return {
+		bind: {
+			name,
+			value,
+			onChange: handleChange,
+			onBlur: handleBlur,
+			ref: elementRef,
+			...(aria && validator ? validator.getAriaProps(name) : {})
+		},
+		messageId: validator && validator.getMessageId(name),
+		validationResult,
+		isInvalid: validationResult && validationResult.isInvalid,
+		validationMessage: validationResult && validationResult.message,
+		isValidating: !!(validationResult && validationResult.isPending),
+		touched: fieldState.touched,
+		dirty: fieldState.dirty,
+		pristine: fieldState.pristine
+	};
+};
@@ -0,0 +1,159 @@
+import React, { useState } from "react";
+import { mount } from "enzyme";
+import { act } from "react-dom/test-utils";
+import FormValidator from "./FormValidator";
+import ValidatorContext from "./ValidatorContext";
+import { useFormValidator, useValidatedField } from "./hooks";
+
+let validator;
+
+beforeAll(() => {
+	FormValidator.registerGlobalRules([
+		{
+			name: "required",
+			method: "isEmpty",
+			message: "Field is required",
+			validWhen: false,
+			skipIfEmpty: false
+		}
+	]);
+});
+
+afterAll(() => FormValidator.clearGlobalRules());
+
+const Field = ({ name, validate, validateOn, formValidator }) => {
+	const [value, setValue] = useState("");
+	const { bind, isInvalid, validationMessage, touched } = useValidatedField(name, validate, {
+		validator: formValidator,
+		validateOn,
+		value,
+		onChange: e => setValue(e.target.value)
+	});
+
+	return (
+		<div>
+			<input {...bind} />
+			{isInvalid && <span className="error">{validationMessage}</span>}
+			{touched && <span className="touched" />}
+		</div>
+	);
+};
+
+const Form = ({ fields = ["foo"], validateOn }) => {
+	validator = useFormValidator();
+
+	return (
+		<form>
+			{fields.map(name => (
+				<Field key={name} name={name} validate="required" validateOn={validateOn} formValidator={validator} />
+			))}
+		</form>
+	);
+};
+
+it("should keep same validator instance across renders", () => {
+	const component = mount(<Form />);
+	const firstValidator = validator;
+
+	component.setProps({ fields: ["foo", "bar"] });
+
+	expect(validator).toBe(firstValidator);
+});
+
+it("should register and unregister field validations with component lifecycle", () => {
+	const component = mount(<Form fields={["foo", "bar"]} />);
+
+	expect(validator.fieldValidations.map(rule => rule.field)).toEqual(["foo", "bar"]);
+
+	component.setProps({ fields: ["foo"] });
+
+	expect(validator.fieldValidations.map(rule => rule.field)).toEqual(["foo"]);
+	expect(validator.formComponents.has("bar")).toBeFalsy();
+});
+
+it("should validate on blur and render validation message", () => {
+	const component = mount(<Form />);
+
+	component.find("input").simulate("change", { target: { name: "foo", value: "" } });
+	expect(component.find(".error").exists()).toBeFalsy();
+
+	component.find("input").simulate("blur", { target: { name: "foo", value: "" } });
+	expect(component.find(".error").text()).toBe("Field is required");
+	expect(component.find(".touched").exists()).toBeTruthy();
+
+	component.find("input").simulate("change", { target: { name: "foo", value: "bar" } });
+	component.find("input").simulate("blur", { target: { name: "foo", value: "bar" } });
+	expect(component.find(".error").exists()).toBeFalsy();
+	expect(validator.validationResult.isValid).toBeTruthy();
+});
+
+it("should validate on change", () => {
+	const component = mount(<Form validateOn="change" />);
+
+	component.find("input").simulate("change", { target: { name: "foo", value: "" } });
+
+	expect(component.find(".error").text()).toBe("Field is required");
+});
+
+it("should focus first invalid field on submit", async () => {
+	const container = document.createElement("div");
+	document.body.appendChild(container);
+
+	const component = mount(<Form fields={["foo", "bar"]} />, { attachTo: container });
+
+	component.find("input[name='foo']").simulate("change", { target: { name: "foo", value: "foo" } });
+
+	await act(async () => {
+		await validator.handleSubmit(() => {})();
+	});
+
+	expect(document.activeElement.name).toBe("bar");
+
+	component.detach();
+	document.body.removeChild(container);
+});
+
+it("should include ARIA attributes in bind when aria option is set", () => {
+	const AriaField = () => {
+		const { bind, messageId } = useValidatedField("foo", "required", { aria: true, value: "" });
+
+		return <input {...bind} data-message-id={messageId} />;
+	};
+	const Form = () => {
+		validator = useFormValidator();
+
+		return (
+			<ValidatorContext.Provider value={validator}>
+				<AriaField />
+			</ValidatorContext.Provider>
+		);
+	};
+	const component = mount(<Form />);
+
+	expect(component.find("input").prop("aria-invalid")).toBe(false);
+	expect(component.find("input").prop("aria-required")).toBe(true);
+	expect(component.find("input").prop("aria-describedby")).toBeUndefined();
+
+	component.find("input").simulate("blur", { target: { name: "foo", value: "" } });
+
+	expect(component.find("input").prop("aria-invalid")).toBe(true);
+	expect(component.find("input").prop("aria-describedby")).toBe(validator.getMessageId("foo"));
+	expect(component.find("input").prop("data-message-id")).toBe(validator.getMessageId("foo"));
+});
+
+it("should register field into scope", () => {
+	const ScopedField = ({ scope }) => {
+		useValidatedField("street", "required", { validator, scope, value: "" });
+		return null;
+	};
+
+	validator = new FormValidator({ scopes: { address: { persist: true } } });
+	const component = mount(<ScopedField scope="address" />);
+
+	expect(validator.fieldValidations.map(rule => rule.scope)).toEqual(["address"]);
+
+	component.unmount();
+
+	expect(validator.getScopeFields("address")).toEqual(["street"]);
+	expect(validator.validateScope("address").isValid).toBeFalsy();
+});
@@ -1,5 +1,44 @@
 import FormValidator from "./FormValidator";
-import { bindInputValue, bindValue } from "./form-utils";
+import {
+	bindInputValue,
+	bindValue,
+	getInputValue,
+	moveValue,
+	normalizePath,
+	pushValue,
+	removeValue
+} from "./form-utils";
 import withValidation from "./withValidation";
+import { useFormValidator, useValidatedField } from "./hooks";
+import ValidationForm from "./ValidationForm";
+import ValidationMessage from "./ValidationMessage";
+import ValidationSummary from "./ValidationSummary";
+import ValidatorContext from "./ValidatorContext";
+import { isEmptyValue, normalizers } from "./value-utils";
+import { mapApiErrors } from "./error-mappers";
+import { actionTypes, createFormReducer, createStoreAdapter, formActions } from "./redux";
 
-export { FormValidator, bindInputValue, bindValue, withValidation };
+export {
+	FormValidator,
+	bindInputValue,
+	bindValue,
+	getInputValue,
+	normalizePath,
+	pushValue,
+	removeValue,
+	moveValue,
+	isEmptyValue,
+	normalizers,
+	mapApiErrors,
+	actionTypes,
+	createFormReducer,
+	createStoreAdapter,
+	formActions,
+	withValidation,
+	useFormValidator,
+	useValidatedField,
+	ValidationForm,
+	ValidationMessage,
+	ValidationSummary,
+	ValidatorContext
+};
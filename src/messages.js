@@ -0,0 +1,42 @@
+import objectPath from "object-path";
+
+/**
+ * Resolves a message which may either be a string, a function which is invoked
+ * with message context or an object with messages mapped by locale.
+ *
+ * @param {String|Function|Object} message
+ * @param {Object} context message context
+ */
+export const resolveMessage = (message, context) => {
+	if (typeof message === "function") {
+		return message(context);
+	}
+	if (message && typeof message === "object") {
+		return message[context.locale];
+	}
+	return message;
+};
+
+/**
+ * Replaces placeholders in message with values from context, placeholders
+ * may be nested paths.
+ *
+ * Example:
+ *
+ * `"{label} must be at least {args.0} characters"` -> `"Password must be at least 8 characters"`
+ *
+ * Placeholders without a value in context are left as is.
+ *
+ * @param {String} message
+ * @param {Object} context
+ */
+export const interpolate = (message, context) => {
+	if (typeof message !== "string") {
+		return message;
+	}
+
+	return message.replace(/\{([\w.]+)\}/g, (placeholder, path) => {
+		const value = objectPath.get(context, path);
+		return value === undefined || value === null ? placeholder : String(value);
+	});
+};
@@ -0,0 +1,19 @@
+import { interpolate, resolveMessage } from "./messages";
+
+it("should interpolate nested placeholders", () => {
+	const context = { label: "Age", args: [18, 65], value: 12 };
+
+	expect(interpolate("{label} must be between {args.0} and {args.1}, was {value}", context)).toBe(
+		"Age must be between 18 and 65, was 12"
+	);
+});
+
+it("should leave placeholders without value", () => {
+	expect(interpolate("{label} is {unknown}", { label: "Age" })).toBe("Age is {unknown}");
+});
+
+it("should resolve message by locale or function", () => {
+	expect(resolveMessage({ en: "Invalid", sv: "Ogiltig" }, { locale: "sv" })).toBe("Ogiltig");
+	expect(resolveMessage(({ label }) => label + " is invalid", { label: "Age" })).toBe("Age is invalid");
+	expect(resolveMessage("Invalid", {})).toBe("Invalid");
+});
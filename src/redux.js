@@ -0,0 +1,77 @@
+import { bindValue } from "./form-utils";
+
+/**
+ * Types of actions handled by reducers created with `createFormReducer()`.
+ */
+export const actionTypes = {
+	SET_FIELD_VALUE: "formValidator/SET_FIELD_VALUE",
+	SET_VALUES: "formValidator/SET_VALUES",
+	SET_VALIDATION_RESULT: "formValidator/SET_VALIDATION_RESULT"
+};
+
+/**
+ * Action creators of form actions. `form` is name of form, which is only needed if there
+ * are several forms in store, see `createFormReducer()`.
+ */
+export const formActions = {
+	setFieldValue: (field, value, form) => ({ type: actionTypes.SET_FIELD_VALUE, field, value, form }),
+	setValues: (values, form) => ({ type: actionTypes.SET_VALUES, values, form }),
+	setValidationResult: (result, form) => ({ type: actionTypes.SET_VALIDATION_RESULT, result, form })
+};
+
+const initialState = { values: {}, validationResult: null };
+
+/**
+ * Creates a reducer which keeps values and validation result of a form:
+ *
+ * ```
+ * const rootReducer = combineReducers({ signup: createFormReducer("signup") });
+ * ```
+ *
+ * @param {String=} form name of form, reducer only handles actions for this form
+ * @param {Object=} initialValues
+ */
+export const createFormReducer = (form, initialValues = {}) => (
+	state = { ...initialState, values: initialValues },
+	action
+) => {
+	if (action.form !== form) return state;
+
+	switch (action.type) {
+		case actionTypes.SET_FIELD_VALUE:
+			return { ...state, values: bindValue(action.field, action.value, state.values) };
+		case actionTypes.SET_VALUES:
+			return { ...state, values: action.values };
+		case actionTypes.SET_VALIDATION_RESULT:
+			return { ...state, validationResult: action.result };
+		default:
+			return state;
+	}
+};
+
+/**
+ * Creates a store adapter for FormValidator option `store`, which keeps form state in a Redux
+ * store with a reducer created by `createFormReducer()`:
+ *
+ * ```
+ * const validator = new FormValidator({
+ * 	store: createStoreAdapter(store, { form: "signup", selectForm: state => state.signup })
+ * });
+ * ```
+ *
+ * @param {Object} store Redux store, or any object with `getState()` and `dispatch()`
+ * @param {Object=} opts
+ * @param {String=} opts.form name of form
+ * @param {Function=} opts.selectForm selects state of form reducer from state of store
+ * @param {Boolean=} opts.storeValidationResult if to dispatch validation result to store as well
+ */
+export const createStoreAdapter = (
+	{ getState, dispatch },
+	{ form, selectForm = state => state, storeValidationResult = true } = {}
+) => ({
+	getFormState: () => selectForm(getState()).values,
+	setFormState: values => dispatch(formActions.setValues(values, form)),
+	setValidationResult: storeValidationResult
+		? result => dispatch(formActions.setValidationResult(result, form))
+		: undefined
+});
@@ -0,0 +1,68 @@
+import FormValidator from "./FormValidator";
+import { createFormReducer, createStoreAdapter, formActions } from "./redux";
+
+const createStore = reducer => {
+	let state = reducer(undefined, { type: "@@INIT" });
+
+	return {
+		getState: () => state,
+		dispatch: action => {
+			state = reducer(state, action);
+			return action;
+		}
+	};
+};
+
+it("should reduce actions of form", () => {
+	const reducer = createFormReducer("signup", { name: "" });
+
+	let state = reducer(undefined, { type: "@@INIT" });
+	expect(state).toEqual({ values: { name: "" }, validationResult: null });
+
+	state = reducer(state, formActions.setFieldValue("address.city", "Stockholm", "signup"));
+	state = reducer(state, formActions.setValidationResult({ isValid: true }, "signup"));
+
+	expect(state).toEqual({
+		values: { name: "", address: { city: "Stockholm" } },
+		validationResult: { isValid: true }
+	});
+	expect(reducer(state, formActions.setValues({}, "other"))).toBe(state);
+	expect(reducer(state, formActions.setValues({}, "signup")).values).toEqual({});
+});
+
+it("should keep form state and validation result in store", () => {
+	const formReducer = createFormReducer();
+	// Reducer which normalizes values before they are stored
+	const store = createStore((state, action) => {
+		const next = formReducer(state, action);
+		return next.values.name ? { ...next, values: { ...next.values, name: next.values.name.trim() } } : next;
+	});
+
+	const validator = new FormValidator({
+		store: createStoreAdapter(store),
+		schema: { name: "required|maxLength:3" }
+	});
+
+	validator.setFieldValue("name", " Foo ");
+
+	expect(store.getState().values).toEqual({ name: "Foo" });
+	expect(validator.formState).toBe(store.getState().values);
+	expect(validator.validate().isValid).toBeTruthy();
+	expect(store.getState().validationResult).toEqual(validator.validationResult);
+	expect(store.getState().validationResult).not.toBe(validator.validationResult);
+
+	store.dispatch(formActions.setFieldValue("name", "Foobar"));
+
+	expect(validator.validate().isValid).toBeFalsy();
+	expect(store.getState().validationResult.name.isInvalid).toBeTruthy();
+
+	validator.reset({ name: "" });
+
+	expect(store.getState()).toEqual({ values: { name: "" }, validationResult: null });
+});
+
+it("should require store to provide form state", () => {
+	expect(() => new FormValidator({ store: { getFormState: () => ({}) } })).toThrow(
+		"Store must provide both 'getFormState' and 'setFormState'"
+	);
+});
@@ -0,0 +1,225 @@
+import validator from "validator";
+
+/**
+ * Will align all of this to an array:
+ *
+ * foo -> ["foo"]
+ * foo|bar -> ["foo", "bar"]
+ * ["foo"] -> ["foo"]
+ *
+ * @param {String|Array} value
+ */
+export const parseArray = value => {
+	if (Array.isArray(value)) {
+		return value;
+	}
+	if (typeof value === "string") {
+		return value.split("|");
+	}
+	return [value];
+};
+
+const baseType = type => type.replace(/(\?|\.\.\.)$/, "");
+
+/**
+ * Returns declared type of arg at index, where a last type ending with `...` applies to all remaining args.
+ */
+const typeOfArg = (argTypes, index) => {
+	const last = argTypes[argTypes.length - 1];
+	return baseType(index >= argTypes.length && last && last.endsWith("...") ? last : argTypes[index] || "");
+};
+
+const isOfType = (type, arg) => {
+	switch (type) {
+		case "number":
+			return typeof arg === "number" && !isNaN(arg);
+		case "string":
+			return typeof arg === "string" || typeof arg === "number";
+		case "pattern":
+			return typeof arg === "string" || arg instanceof RegExp;
+		default:
+			return true;
+	}
+};
+
+/**
+ * Parses a rule in string syntax, such as `minLength:8` or `between:1,10`, and returns the rule
+ * with args set. Args are converted according to `argTypes` of rule, a last arg of type `pattern`
+ * takes the rest of the string as is so that it may contain commas.
+ *
+ * @param {String} declaration
+ * @param {Object} formRules rules available to validator, mapped by name
+ */
+export const parseRule = (declaration, formRules) => {
+	const separatorIndex = declaration.indexOf(":");
+	const name = separatorIndex === -1 ? declaration : declaration.slice(0, separatorIndex);
+	const rule = formRules[name];
+
+	if (!rule) {
+		throw new Error("Missing validation rule '" + name + "'");
+	}
+
+	if (separatorIndex === -1) {
+		return rule;
+	}
+
+	const argTypes = rule.argTypes || [];
+	const args = declaration.slice(separatorIndex + 1).split(",");
+
+	if (argTypes[argTypes.length - 1] === "pattern" && args.length > argTypes.length) {
+		args.splice(argTypes.length - 1, args.length, args.slice(argTypes.length - 1).join(","));
+	}
+
+	// Args that are not valid numbers are kept as strings, and reported when rule is registered
+	const toArg = (arg, i) =>
+		typeOfArg(argTypes, i) === "number" && arg.trim() !== "" && !isNaN(arg) ? Number(arg) : arg;
+
+	return { ...rule, args: args.map(toArg) };
+};
+
+/**
+ * Checks that method of a rule is either a function or name of a validator.js method, and throws an
+ * error naming rule and field if it is not, rather than failing once rule is validated.
+ *
+ * @param {Object} rule
+ * @param {String=} field name of field, used in error message
+ */
+export const checkMethod = ({ name, method }, field) => {
+	if (typeof method === "function" || typeof validator[method] === "function") return;
+
+	throw new Error(
+		"Invalid/missing validation method '" +
+			method +
+			"'" +
+			(name ? " of rule '" + name + "'" : "") +
+			(field ? " for field '" + field + "'" : "")
+	);
+};
+
+/**
+ * Checks args of a rule against its `argTypes`, if declared, and throws an error describing
+ * what is wrong if they do not match.
+ *
+ * @param {Object} rule
+ * @param {Array} args
+ * @param {String} field name of field, used in error message
+ */
+export const checkArgs = ({ name, argTypes }, args, field) => {
+	if (!argTypes) return;
+
+	const fail = reason => {
+		throw new Error("Invalid args for rule '" + name + "' of field '" + field + "': " + reason);
+	};
+	const isVariadic = argTypes.some(type => type.endsWith("..."));
+	const minCount = argTypes.filter(type => !type.endsWith("?")).length;
+
+	if (args.length < minCount || (!isVariadic && args.length > argTypes.length)) {
+		fail(
+			"expected " + (isVariadic ? "at least " + minCount : argTypes.length) + " arg(s) but got " + args.length
+		);
+	}
+
+	args.forEach((arg, i) => {
+		const type = typeOfArg(argTypes, i);
+
+		if (!isOfType(type, arg)) {
+			fail("expected arg " + (i + 1) + " to be a " + type + " but got '" + arg + "'");
+		}
+	});
+};
+
+/**
+ * Converts a `validate` declaration, as accepted by `withValidation` and hooks, into
+ * field validations that can be registered on a form validator.
+ *
+ * Supports following formats:
+ *
+ * - `required` (String)
+ * - `required|phone` (String)
+ * - `required|minLength:8|between:1,10` (String, with args)
+ * - `["required", "phone"]` (Array<String>)
+ * - `(val) => val.length > 100` (Function)
+ * - `{method: "isEmpty", message: "Foo"}` (Object)
+ *
+ * @param {String|Array|Function|Object} validate
+ * @param {Object} formRules rules available to validator, mapped by name
+ * @param {Object} opts
+ * @param {String} opts.field name of field
+ * @param {String|Function|Object=} opts.message custom message which overrides message of rule(s)
+ * @param {String=} opts.groupId validation group id
+ * @param {String=} opts.label label of field, used in message templates
+ * @param {Object|Function=} opts.when condition which rule(s) are only validated when met
+ * @param {String|Function|Array=} opts.normalize normalizer of value, overrides normalizer of rule(s)
+ * @param {Function=} opts.isEmpty check if value is empty, overrides check of rule(s)
+ * @param {String=} opts.scope scope of rule(s), see `FormValidator.step()`
+ */
+export const toFieldValidations = (
+	validate,
+	formRules,
+	{ field, message, groupId, label, when, normalize, isEmpty, scope }
+) =>
+	parseArray(validate).map(rule => {
+		if (typeof rule === "string") {
+			rule = parseRule(rule, formRules);
+		} else if (typeof rule === "function") {
+			rule = { method: rule };
+		}
+
+		return {
+			...rule,
+			message: message || rule.message,
+			field,
+			groupId: groupId || rule.groupId,
+			label: label || rule.label,
+			when: when || rule.when,
+			normalize: normalize || rule.normalize,
+			isEmpty: isEmpty || rule.isEmpty,
+			scope: scope || rule.scope
+		};
+	});
+
+const isPlainObject = value => {
+	const proto = Object.getPrototypeOf(value);
+	return proto === Object.prototype || proto === null;
+};
+
+/**
+ * Returns a JSON serializable copy of value, where undefined properties are left out and regular
+ * expressions without flags are converted to their pattern. Throws an error naming what can not be
+ * serialized if value contains a function or any other non-plain value.
+ *
+ * @param {*} value
+ * @param {String} description what value is, used in error message
+ */
+export const toSerializable = (value, description) => {
+	if (value instanceof RegExp && !value.flags) {
+		return value.source;
+	}
+	if (Array.isArray(value)) {
+		return value.map(item => toSerializable(item, description));
+	}
+
+	const isObject = value !== null && typeof value === "object";
+
+	if (typeof value === "function" || (isObject && !isPlainObject(value))) {
+		throw new Error(description + " can not be serialized");
+	}
+
+	return isObject ? serializeObject(value, () => description) : value;
+};
+
+const serializeObject = (obj, describe) =>
+	Object.keys(obj).reduce((res, key) => {
+		if (obj[key] !== undefined) {
+			res[key] = toSerializable(obj[key], describe(key));
+		}
+		return res;
+	}, {});
+
+/**
+ * Returns a JSON serializable copy of a rule, such as a global or form rule. Methods must be
+ * referenced by name of a validator.js method, i.e. `"isEmail"`.
+ *
+ * @param {Object} rule
+ */
+export const serializeRule = rule => serializeObject(rule, key => "'" + key + "' of rule '" + rule.name + "'");
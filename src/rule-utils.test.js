@@ -0,0 +1,52 @@
+import { checkArgs, parseArray, parseRule, toFieldValidations, toSerializable } from "./rule-utils";
+import { defaultRules } from "./rules";
+
+const formRules = defaultRules.reduce((res, rule) => ({ ...res, [rule.name]: rule }), {});
+
+it("should parse array", () => {
+	expect(parseArray("required|email")).toEqual(["required", "email"]);
+	expect(parseArray(["required"])).toEqual(["required"]);
+	expect(parseArray("required")).toEqual(["required"]);
+});
+
+it("should parse rule with args", () => {
+	expect(parseRule("required", formRules)).toBe(formRules.required);
+	expect(parseRule("minLength:8", formRules).args).toEqual([8]);
+	expect(parseRule("between:1,10", formRules).args).toEqual([1, 10]);
+	expect(parseRule("oneOf:a,b,c", formRules).args).toEqual(["a", "b", "c"]);
+	expect(parseRule("pattern:^\\d{2,4}$", formRules).args).toEqual(["^\\d{2,4}$"]);
+});
+
+it("should throw on unknown rule", () => {
+	expect(() => parseRule("foo:1", formRules)).toThrow("Missing validation rule 'foo'");
+});
+
+it("should throw on bad args", () => {
+	expect(() => checkArgs(formRules.minLength, [NaN], "password")).toThrow(
+		"Invalid args for rule 'minLength' of field 'password': expected arg 1 to be a number but got 'NaN'"
+	);
+	expect(() => checkArgs(formRules.between, [1], "age")).toThrow("expected 2 arg(s) but got 1");
+	expect(() => checkArgs(formRules.oneOf, [], "size")).toThrow("expected at least 1 arg(s) but got 0");
+	expect(() => checkArgs(formRules.phone, [], "phone")).not.toThrow();
+	expect(() => checkArgs(formRules.pattern, [/^\d+$/], "zip")).not.toThrow();
+});
+
+it("should convert string syntax to field validations", () => {
+	const [required, minLength] = toFieldValidations("required|minLength:8", formRules, {
+		field: "password",
+		label: "Password"
+	});
+
+	expect(required.name).toBe("required");
+	expect(minLength).toMatchObject({ name: "minLength", args: [8], field: "password", label: "Password" });
+});
+
+it("should convert value to serializable", () => {
+	expect(toSerializable({ a: [1, "b", /^\d+$/], c: undefined, d: null }, "Foo")).toEqual({
+		a: [1, "b", "^\\d+$"],
+		d: null
+	});
+	expect(() => toSerializable({ a: () => true }, "Foo")).toThrow("Foo can not be serialized");
+	expect(() => toSerializable(/a/i, "Foo")).toThrow("Foo can not be serialized");
+	expect(() => toSerializable(new Date(), "Foo")).toThrow("Foo can not be serialized");
+});
@@ -0,0 +1,196 @@
+import validator from "validator";
+import { isEqual } from "./form-utils";
+import { isEmptyValue, toValidatorString } from "./value-utils";
+
+const toArray = value => (Array.isArray(value) ? value : []);
+
+const isBlank = value => value === undefined || value === null || value === "";
+
+/**
+ * Dates are compared by time and numeric strings as numbers, anything else as is.
+ */
+const toComparable = value => {
+	if (value instanceof Date) return value.getTime();
+	if (typeof value === "string" && value.trim() !== "" && !isNaN(value)) return Number(value);
+	return value;
+};
+
+/**
+ * Creates rule method which compares value of field with value of the field it depends on.
+ * Rule passes if other field is empty, which is left to rules of that field.
+ */
+const compareWithField = compare => ({ value, dependencies }) =>
+	isBlank(dependencies[0]) || compare(toComparable(value), toComparable(dependencies[0]));
+
+/**
+ * Rules comparing with another field take name of that field as first arg, and depend on it.
+ */
+const otherField = args => [args[0]];
+
+const toNumber = value => (typeof value === "string" && value.trim() === "" ? NaN : Number(value));
+
+/**
+ * Resolves full year of a personnummer without century, which is the latest year not after
+ * current year. Separator `+` is used for persons who are 100 years or older.
+ */
+const inferFullYear = (year, separator) => {
+	const currentYear = new Date().getFullYear();
+	const fullYear = currentYear - ((currentYear - Number(year)) % 100);
+
+	return separator === "+" ? fullYear - 100 : fullYear;
+};
+
+/**
+ * Validates Swedish personal identity number, or coordination number, in any of the formats
+ * `YYMMDD-NNNN`, `YYMMDD+NNNN`, `YYYYMMDDNNNN` or `YYYYMMDD-NNNN`. Checks date and control digit.
+ */
+export const isPersonnummer = value => {
+	const match = /^(\d{2})?(\d{2})(\d{2})(\d{2})([-+]?)(\d{3})(\d)$/.exec(String(value).trim());
+
+	if (!match) return false;
+
+	const [, century, year, month, day, separator, serial, control] = match;
+	// Coordination numbers have 60 added to day
+	const dayOfMonth = Number(day) > 60 ? Number(day) - 60 : Number(day);
+	const fullYear = century ? Number(century + year) : inferFullYear(year, separator);
+	const date = new Date(fullYear, Number(month) - 1, dayOfMonth);
+
+	if (date.getMonth() !== Number(month) - 1 || date.getDate() !== dayOfMonth) return false;
+
+	const sum = (year + month + day + serial).split("").reduce((res, digit, i) => {
+		const product = Number(digit) * (i % 2 === 0 ? 2 : 1);
+		return res + (product > 9 ? product - 9 : product);
+	}, 0);
+
+	return (10 - (sum % 10)) % 10 === Number(control);
+};
+
+/**
+ * Validation rules that are built into all form validator instances. Global
+ * and form rules with the same name will override these.
+ *
+ * `argTypes` declares the args that a rule takes, which are checked when rule is registered
+ * for a field and used to convert args in string syntax such as `minLength:8`. A type ending
+ * with `?` is optional and one ending with `...` takes any number of args.
+ */
+export const defaultRules = [
+	{
+		name: "required",
+		// Uses empty check of field, if set
+		method: ({ value, isEmpty = isEmptyValue }) => !isEmpty(value),
+		message: "Field is required",
+		skipIfEmpty: false
+	},
+	{
+		// I.e. a checkbox for accepting terms, which `required` does not fail for since `false` is a value
+		name: "checked",
+		method: ({ value }) => value === true,
+		message: "Must be checked",
+		skipIfEmpty: false
+	},
+	{
+		name: "email",
+		method: ({ value }) => validator.isEmail(toValidatorString(value)),
+		message: "Invalid email address"
+	},
+	{
+		name: "url",
+		method: ({ value }) => validator.isURL(toValidatorString(value)),
+		message: "Invalid URL"
+	},
+	{
+		name: "minLength",
+		method: ({ value, args }) => String(value).length >= args[0],
+		message: "Must be at least {args.0} characters",
+		argTypes: ["number"]
+	},
+	{
+		name: "maxLength",
+		method: ({ value, args }) => String(value).length <= args[0],
+		message: "Must be at most {args.0} characters",
+		argTypes: ["number"]
+	},
+	{
+		name: "min",
+		method: ({ value, args }) => toNumber(value) >= args[0],
+		message: "Must be at least {args.0}",
+		argTypes: ["number"]
+	},
+	{
+		name: "max",
+		method: ({ value, args }) => toNumber(value) <= args[0],
+		message: "Must be at most {args.0}",
+		argTypes: ["number"]
+	},
+	{
+		name: "between",
+		method: ({ value, args }) => toNumber(value) >= args[0] && toNumber(value) <= args[1],
+		message: "Must be between {args.0} and {args.1}",
+		argTypes: ["number", "number"]
+	},
+	{
+		name: "pattern",
+		method: ({ value, args }) => new RegExp(args[0]).test(String(value)),
+		message: "Invalid format",
+		argTypes: ["pattern"]
+	},
+	{
+		name: "oneOf",
+		method: ({ value, args }) => args.some(arg => String(arg) === String(value)),
+		message: "Must be one of {args}",
+		argTypes: ["string..."]
+	},
+	{
+		name: "phone",
+		method: ({ value, args }) => validator.isMobilePhone(toValidatorString(value), args[0] || "any"),
+		message: "Invalid phone number",
+		argTypes: ["string?"]
+	},
+	{
+		name: "postalCode",
+		method: ({ value, args }) => validator.isPostalCode(toValidatorString(value), args[0] || "any"),
+		message: "Invalid postal code",
+		argTypes: ["string?"]
+	},
+	{
+		name: "personnummer",
+		method: ({ value }) => isPersonnummer(value),
+		message: "Invalid personal identity number"
+	},
+	{
+		name: "minItems",
+		method: ({ value, args }) => toArray(value).length >= Number(args[0]),
+		message: "Must have at least {args.0} items",
+		args: [1],
+		argTypes: ["number"],
+		skipIfEmpty: false
+	},
+	{
+		name: "maxItems",
+		method: ({ value, args }) => toArray(value).length <= Number(args[0]),
+		message: "Must have at most {args.0} items",
+		argTypes: ["number"],
+		skipIfEmpty: false
+	},
+	{
+		name: "equalsField",
+		method: ({ value, dependencies }) => isEqual(toComparable(value), toComparable(dependencies[0])),
+		message: "Must be equal to {args.0}",
+		argTypes: ["string"],
+		dependsOn: otherField
+	},
+	{
+		name: "greaterThanField",
+		method: compareWithField((value, other) => value > other),
+		message: "Must be greater than {args.0}",
+		argTypes: ["string"],
+		dependsOn: otherField
+	},
+	{
+		name: "lessThanField",
+		method: compareWithField((value, other) => value < other),
+		message: "Must be less than {args.0}",
+		argTypes: ["string"],
+		dependsOn: otherField
+	}
+];
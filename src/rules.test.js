@@ -0,0 +1,74 @@
+import { defaultRules, isPersonnummer } from "./rules";
+
+const rules = defaultRules.reduce((res, rule) => ({ ...res, [rule.name]: rule }), {});
+
+const isValid = (name, value, args = []) => rules[name].method({ value, args, dependencies: [] });
+
+it("should validate required", () => {
+	expect(isValid("required", "foo")).toBeTruthy();
+	expect(isValid("required", 0)).toBeTruthy();
+	expect(isValid("required", "")).toBeFalsy();
+	expect(isValid("required", null)).toBeFalsy();
+	expect(isValid("required", [])).toBeFalsy();
+	expect(isValid("required", false)).toBeTruthy();
+	expect(rules.required.method({ value: "  ", isEmpty: value => value.trim() === "" })).toBeFalsy();
+});
+
+it("should validate length and range", () => {
+	expect(isValid("minLength", "secret", [6])).toBeTruthy();
+	expect(isValid("minLength", "short", [6])).toBeFalsy();
+	expect(isValid("maxLength", "short", [5])).toBeTruthy();
+	expect(isValid("maxLength", "secret", [5])).toBeFalsy();
+	expect(isValid("min", "10", [10])).toBeTruthy();
+	expect(isValid("min", "9.5", [10])).toBeFalsy();
+	expect(isValid("max", "abc", [10])).toBeFalsy();
+	expect(isValid("between", "5", [1, 10])).toBeTruthy();
+	expect(isValid("between", "11", [1, 10])).toBeFalsy();
+});
+
+it("should validate pattern and oneOf", () => {
+	expect(isValid("pattern", "123", ["^\\d+$"])).toBeTruthy();
+	expect(isValid("pattern", "12a", [/^\d+$/])).toBeFalsy();
+	expect(isValid("oneOf", "M", ["S", "M", "L"])).toBeTruthy();
+	expect(isValid("oneOf", "XL", ["S", "M", "L"])).toBeFalsy();
+	expect(isValid("oneOf", "2", [1, 2])).toBeTruthy();
+});
+
+it("should validate email, url, phone and postal code", () => {
+	expect(isValid("email", "foo@bar.se")).toBeTruthy();
+	expect(isValid("email", "foo")).toBeFalsy();
+	expect(isValid("url", "https://example.com")).toBeTruthy();
+	expect(isValid("url", "foo")).toBeFalsy();
+	expect(isValid("phone", "0701234567", ["sv-SE"])).toBeTruthy();
+	expect(isValid("phone", "foo", [])).toBeFalsy();
+	expect(isValid("postalCode", "123 45", ["SE"])).toBeTruthy();
+	expect(isValid("postalCode", "1234", ["SE"])).toBeFalsy();
+});
+
+it("should validate checked", () => {
+	expect(isValid("checked", true)).toBeTruthy();
+	expect(isValid("checked", false)).toBeFalsy();
+	expect(isValid("checked", undefined)).toBeFalsy();
+	expect(isValid("checked", "on")).toBeFalsy();
+});
+
+it("should validate personnummer", () => {
+	expect(isPersonnummer("811218-9876")).toBeTruthy();
+	expect(isPersonnummer("19811218-9876")).toBeTruthy();
+	expect(isPersonnummer("198112189876")).toBeTruthy();
+	expect(isPersonnummer("811278-9873")).toBeTruthy();
+	expect(isPersonnummer("811218-9875")).toBeFalsy();
+	expect(isPersonnummer("811318-9876")).toBeFalsy();
+	expect(isPersonnummer("foo")).toBeFalsy();
+});
+
+it("should infer century of personnummer from separator", () => {
+	// 2000-02-29, a leap day
+	expect(isPersonnummer("000229-1235")).toBeTruthy();
+	expect(isPersonnummer("0002291235")).toBeTruthy();
+	// 1900-02-29 does not exist, 1900 is not a leap year
+	expect(isPersonnummer("000229+1235")).toBeFalsy();
+	// 1881-12-18, person is 100 years or older
+	expect(isPersonnummer("811218+9876")).toBeTruthy();
+	expect(isPersonnummer("18811218-9876")).toBeTruthy();
+});
@@ -0,0 +1,82 @@
+/**
+ * If value is considered empty, which decides if rules with `skipIfEmpty` are skipped.
+ *
+ * `undefined`, `null`, empty strings, empty arrays, array-likes such as a `FileList` without
+ * files, empty sets and maps and plain objects without keys are empty. Numbers (including `0`),
+ * booleans, dates and other objects are not.
+ *
+ * @param {*} value
+ */
+export const isEmptyValue = value => {
+	if (value === undefined || value === null) return true;
+	if (typeof value === "string" || Array.isArray(value)) return value.length === 0;
+	if (typeof value !== "object" || value instanceof Date) return false;
+	if (value instanceof Set || value instanceof Map) return value.size === 0;
+	if (typeof value.length === "number") return value.length === 0;
+	if (Object.getPrototypeOf(value) === Object.prototype) return Object.keys(value).length === 0;
+	return false;
+};
+
+/**
+ * Converts value to string before passing it to a validator.js function, which only accepts
+ * strings. Dates and date-like objects, such as moment, are converted to ISO strings.
+ *
+ * @param {*} value
+ */
+export const toValidatorString = value => {
+	if (value === undefined || value === null) return "";
+	if (value instanceof Date) return isNaN(value.getTime()) ? "" : value.toISOString();
+	if (typeof value.toISOString === "function") return toValidatorString(value.toISOString());
+	return String(value);
+};
+
+const isArrayLike = value =>
+	value !== null && typeof value === "object" && (typeof value.length === "number" || value instanceof Set);
+
+/**
+ * Built-in value normalizers, which can be referenced by name in `normalize` of a rule, field or form.
+ *
+ * Values that can not be normalized, such as a string which is not a number for `number`, are kept
+ * as is so that rules will fail on them rather than treat them as empty.
+ */
+export const normalizers = {
+	trim: value => (typeof value === "string" ? value.trim() : value),
+	number: value =>
+		typeof value === "string" && value.trim() !== "" && !isNaN(value) ? Number(value) : value,
+	date: value => {
+		if (value && typeof value.toDate === "function") return value.toDate();
+		if (typeof value === "string" && value !== "" && !isNaN(Date.parse(value))) return new Date(value);
+		return value;
+	},
+	// I.e. a FileList or options of a select-multiple
+	array: value => {
+		if (value === undefined || value === null || value === "") return [];
+		if (Array.isArray(value)) return value;
+		return isArrayLike(value) ? Array.from(value) : [value];
+	}
+};
+
+/**
+ * Resolves a normalizer into a function. May be name of a built-in normalizer, a function
+ * or an array of those which are applied in order.
+ *
+ * @param {String|Function|Array=} normalize
+ * @returns {Function|undefined}
+ */
+export const resolveNormalizer = normalize => {
+	if (!normalize) return undefined;
+
+	if (Array.isArray(normalize)) {
+		const fns = normalize.map(resolveNormalizer).filter(Boolean);
+		return value => fns.reduce((res, fn) => fn(res), value);
+	}
+
+	if (typeof normalize === "string") {
+		if (!normalizers[normalize]) {
+			throw new Error("Missing normalizer '" + normalize + "'");
+		}
+		return normalizers[normalize];
+	}
+
+	return normalize;
+};
@@ -0,0 +1,36 @@
+import { isEmptyValue, normalizers, resolveNormalizer, toValidatorString } from "./value-utils";
+
+it("should check if value is empty", () => {
+	[undefined, null, "", [], {}, new Set(), new Map(), { length: 0 }].forEach(value =>
+		expect(isEmptyValue(value)).toBe(true)
+	);
+	[0, false, true, " ", ["a"], { a: 1 }, new Date(), new Set([1]), { length: 1, 0: "file" }].forEach(value =>
+		expect(isEmptyValue(value)).toBe(false)
+	);
+});
+
+it("should convert value to string for validator.js", () => {
+	expect(toValidatorString(undefined)).toBe("");
+	expect(toValidatorString(12)).toBe("12");
+	expect(toValidatorString(new Date(Date.UTC(2019, 0, 2)))).toBe("2019-01-02T00:00:00.000Z");
+	expect(toValidatorString({ toISOString: () => "2019-01-02" })).toBe("2019-01-02");
+});
+
+it("should normalize values", () => {
+	expect(normalizers.trim(" foo ")).toBe("foo");
+	expect(normalizers.number("12.5")).toBe(12.5);
+	expect(normalizers.number("foo")).toBe("foo");
+	expect(normalizers.number("")).toBe("");
+	expect(normalizers.date("2019-01-02").getTime()).toBe(new Date("2019-01-02").getTime());
+	expect(normalizers.date({ toDate: () => "date" })).toBe("date");
+	expect(normalizers.date("foo")).toBe("foo");
+	expect(normalizers.array({ length: 1, 0: "file" })).toEqual(["file"]);
+	expect(normalizers.array("a")).toEqual(["a"]);
+	expect(normalizers.array(null)).toEqual([]);
+});
+
+it("should resolve normalizer", () => {
+	expect(resolveNormalizer()).toBeUndefined();
+	expect(resolveNormalizer(["trim", "number"])(" 12 ")).toBe(12);
+	expect(() => resolveNormalizer("foo")).toThrow("Missing normalizer 'foo'");
+});
@@ -1,6 +1,11 @@
 import React from "react";
 import PropTypes from "prop-types";
+import { findDOMNode } from "react-dom";
 import FormValidator from "./FormValidator";
+import ValidatorContext from "./ValidatorContext";
+import { focusElement } from "./dom-utils";
+import { handleFieldBlur, handleFieldChange } from "./form-utils";
+import { parseArray, toFieldValidations } from "./rule-utils";
 
 /**
  * Higher order Component (HoC) that adds validation logic to
@@ -48,7 +53,14 @@ import FormValidator from "./FormValidator";
  * />
  * ```
  *
+ * With `aria: true` option, `aria-invalid`, `aria-required` and `aria-describedby` are passed to
+ * the composed component as well, along with `validationMessageId` which is the id that input
+ * is described by while invalid. Render a `ValidationMessage` for field to display message with that id.
+ *
  * @param {Object} ComposedComponent
+ * @param {Object=} options
+ * @param {Boolean=} options.passValidator if to pass validator to composed component
+ * @param {Boolean=} options.aria if to pass ARIA attributes to composed component
  */
 function withValidation(ComposedComponent, options = {}) {
 	class ComponentWithValidation extends React.Component {
@@ -60,47 +72,89 @@ function withValidation(ComposedComponent, options = {}) {
 			// `(val) => val.length > 100` (Function)
 			// `{method: "isEmpty", message: "Foo"}` (Object)
 			validate: PropTypes.oneOfType([PropTypes.string, PropTypes.array, PropTypes.func, PropTypes.object]),
-			// The FormValidator instance
+			// The FormValidator instance, will fallback to validator provided by `ValidationForm`
 			validator: PropTypes.instanceOf(FormValidator),
 			// Optional custom message of validation, will override any
-			// message already set
-			validationMessage: PropTypes.string,
+			// message already set. May be a template, a function or messages mapped by locale
+			validationMessage: PropTypes.oneOfType([PropTypes.string, PropTypes.func, PropTypes.object]),
+			// Optional label of field, used in message templates such as "{label} is required"
+			label: PropTypes.string,
 			// Name of field
 			name: PropTypes.string.isRequired,
 			// Which event(s) to validate on,  only "blur" and "change" is supported
 			validateOn: PropTypes.oneOfType([PropTypes.string, PropTypes.array]),
 			// Optional validation group id
-			validationGroup: PropTypes.string
+			validationGroup: PropTypes.string,
+			// Optional condition, rules are only validated when it is met. Either
+			// `{ field: "country", is: "SE" }` or a function invoked with form state
+			validateWhen: PropTypes.oneOfType([PropTypes.object, PropTypes.func]),
+			// Optional normalizer(s) of value before it is validated, i.e. "trim", "number" or a function
+			normalize: PropTypes.oneOfType([PropTypes.string, PropTypes.func, PropTypes.array]),
+			// Optional check if value is empty, for widgets with non-string values
+			isEmpty: PropTypes.func,
+			// Optional scope that field is registered into, such as a step of a wizard
+			scope: PropTypes.string
 		};
 
+		static contextType = ValidatorContext;
+
 		/**
 		 * Form validator instance
 		 * @type {FormValidator}
 		 */
-		validator = this.props.validator;
+		validator = this.props.validator || this.context;
 
 		validateOn = this.parseArray(this.props.validateOn || "blur");
 
 		componentDidMount() {
 			const { validate, validationMessage, value, name, validationGroup } = this.props;
 
+			if (!this.validator && validate && process.env.NODE_ENV !== "production") {
+				console.warn(
+					`Field '${name}' has validation rules but no validator, either pass a 'validator' prop or ` +
+						"render field within a <ValidationForm>"
+				);
+			}
+
 			if (this.validator && validate) {
 				this.registerValidationRules(validate, validationMessage, validationGroup);
 
 				if (value !== undefined) {
-					this.validator.setFieldValue(name, value);
+					this.validator.setFieldValue(name, value).setInitialValue(name, value);
+				}
+
+				if (options.aria) {
+					// Rules were not registered on first render, i.e. for `aria-required`
+					this.forceUpdate();
 				}
 			}
+
+			if (this.validator) {
+				// Re-render only when validation result or state of this field changes
+				this.unsubscribe = this.validator.subscribeField(name, () => this.forceUpdate());
+			}
 		}
 
-		componentDidUpdate() {
+		componentDidUpdate(prevProps) {
 			const { value, name } = this.props;
 
+			if (this.validator && name !== prevProps.name) {
+				// I.e. when array rows has been re-indexed
+				this.validator.renameComponent(this, prevProps.name);
+				this.unsubscribe();
+				this.unsubscribe = this.validator.subscribeField(name, () => this.forceUpdate());
+			}
+
 			if (this.validator && value !== undefined) {
 				this.validator.setFieldValue(name, value);
 			}
 		}
+
 		componentWillUnmount() {
+			if (this.unsubscribe) {
+				this.unsubscribe();
+			}
+
 			if (this.validator) {
 				this.validator.unregisterComponent(this);
 			}
@@ -110,57 +164,75 @@ function withValidation(ComposedComponent, options = {}) {
 		 * Registers provided validation rules to validator.
 		 */
 		registerValidationRules(validate, customValidationMessage, validationGroup) {
-			const { name } = this.props;
-
-			validate = this.parseArray(validate);
+			const { name, label, validateWhen, normalize, isEmpty, scope } = this.props;
 
 			this.validator.registerFieldValidations(
-				validate.map(rule => {
-					const isFunction = typeof rule === "function";
-					const isString = typeof rule === "string";
-
-					if (isString) {
-						if (!this.validator.formRules[rule]) {
-							throw new Error("Missing validation rule '" + rule + "'");
-						}
-						rule = this.validator.formRules[rule];
-					} else if (isFunction) {
-						rule = { method: rule };
-					}
-
-					return {
-						...rule,
-						message: customValidationMessage || rule.message,
-						field: name,
-						groupId: validationGroup || rule.groupId
-					};
+				toFieldValidations(validate, this.validator.formRules, {
+					field: name,
+					message: customValidationMessage,
+					groupId: validationGroup,
+					label,
+					when: validateWhen,
+					normalize,
+					isEmpty,
+					scope
 				}),
 				this
 			);
 		}
 
 		handleBlur = e => {
-			if (this.validateOn.includes("blur") && this.validator) {
-				this.validator.setInputValue(e).validate();
+			if (this.validator) {
+				handleFieldBlur(this.validator, this.props.name, this.validateOn, e);
 			}
 
 			this.props.onBlur && this.props.onBlur(e);
 		};
 
+		/**
+		 * Invoked with a change event, or with the value by custom widgets.
+		 */
 		handleChange = e => {
-			if (this.validateOn.includes("change") && this.validator) {
-				this.validator.setInputValue(e).validate();
+			if (this.validator) {
+				handleFieldChange(this.validator, this.props.name, this.validateOn, e);
 			}
 
 			this.props.onChange && this.props.onChange(e);
 		};
 
+		/**
+		 * Focuses (and scrolls to) the field, used by validator to focus first
+		 * invalid field on submit.
+		 */
+		focus() {
+			focusElement(findDOMNode(this));
+		}
+
 		render() {
-			const { name, validateOn, validate, validator, validationGroup, ...rest } = this.props;
-			const validationResult =
-				this.validator && this.validator.validationResult && this.validator.validationResult[name];
+			const {
+				name,
+				validateOn,
+				validate,
+				validator,
+				validationGroup,
+				validateWhen,
+				normalize,
+				isEmpty,
+				scope,
+				...rest
+			} = this.props;
+			const validationResult = this.validator && this.validator.getFieldResult(name);
 			const isInvalid = validationResult && validationResult.isInvalid;
 			const validationMessage = validationResult && validationResult.message;
+			const isValidating = !!(validationResult && validationResult.isPending);
+			const fieldState = this.validator ? this.validator.getFieldState(name) : {};
+			const ariaProps =
+				options.aria && this.validator
+					? {
+							...this.validator.getAriaProps(name, rest["aria-describedby"]),
+							validationMessageId: this.validator.getMessageId(name)
+					  }
+					: {};
 
 			return (
 				<ComposedComponent
@@ -170,8 +242,13 @@ function withValidation(ComposedComponent, options = {}) {
 					validationResult={validationResult}
 					isInvalid={isInvalid}
 					validationMessage={validationMessage}
+					isValidating={isValidating}
+					touched={fieldState.touched}
+					dirty={fieldState.dirty}
+					pristine={fieldState.pristine}
 					name={name}
-					validator={options.passValidator && validator}
+					validator={options.passValidator && this.validator}
+					{...ariaProps}
 				/>
 			);
 		}
@@ -186,13 +263,7 @@ function withValidation(ComposedComponent, options = {}) {
 		 * @param {String|Array} value
 		 */
 		parseArray(value) {
-			if (Array.isArray(value)) {
-				return value;
-			}
-			if (typeof value === "string") {
-				return value.split("|");
-			}
-			return [value];
+			return parseArray(value);
 		}
 	}
 
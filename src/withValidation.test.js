@@ -23,9 +23,11 @@ afterAll(() => FormValidator.clearGlobalRules());
 beforeEach(() => {
 	validator = new FormValidator();
 
-	ComponentWithValidation = withValidation(({ validationResult, isInvalid, validationMessage, ...props }) => {
-		return <input {...props} />;
-	});
+	ComponentWithValidation = withValidation(
+		({ validationResult, isInvalid, validationMessage, isValidating, touched, dirty, pristine, ...props }) => {
+			return <input {...props} />;
+		}
+	);
 });
 
 it("should validate using function as validate prop", () => {
@@ -120,6 +122,284 @@ it("should NOT trigger validation on change", () => {
 	expect(validator.validationResult).toBeFalsy();
 });
 
+it("should pass isValidating while async validation is pending", async () => {
+	validator = new FormValidator([], { asyncDebounce: 0 });
+
+	const component = mountComponent({
+		validate: ({ value }) => Promise.resolve(value !== "taken"),
+		validateOn: "change"
+	});
+
+	mockChange(component.find("input"), "taken");
+	component.setProps({ value: "taken" });
+	expect(component.find("input").parent().props().isValidating).toBeTruthy();
+
+	await validator.whenValidated();
+	component.update();
+	expect(component.find("input").parent().props().isValidating).toBeFalsy();
+	expect(component.find("input").parent().props().isInvalid).toBeTruthy();
+});
+
+it("should focus first invalid field on submit", async () => {
+	const container = document.createElement("div");
+	document.body.appendChild(container);
+
+	const component = mount(
+		<div>
+			<ComponentWithValidation value="foo" name="foo" validator={validator} validate="required" />
+			<ComponentWithValidation value="" name="bar" validator={validator} validate="required" />
+			<ComponentWithValidation value="" name="baz" validator={validator} validate="required" />
+		</div>,
+		{ attachTo: container }
+	);
+
+	const validationResult = await validator.handleSubmit(() => {})();
+
+	expect(validationResult.isValid).toBeFalsy();
+	expect(document.activeElement.name).toBe("bar");
+
+	component.detach();
+	document.body.removeChild(container);
+});
+
+it("should pass touched, dirty and pristine state", () => {
+	const component = mountComponent({ value: "foo", validate: "required" });
+
+	const fieldProps = () => component.find("input").parent().props();
+
+	expect(fieldProps().touched).toBeFalsy();
+	expect(fieldProps().pristine).toBeTruthy();
+
+	mockChange(component.find("input"), "bar");
+	component.setProps({ value: "bar" });
+	expect(fieldProps().dirty).toBeTruthy();
+	expect(fieldProps().touched).toBeFalsy();
+
+	component.find("input").simulate("blur", { target: { name: "foo", value: "bar" } });
+	expect(fieldProps().touched).toBeTruthy();
+	expect(validator.isTouched()).toBeTruthy();
+	expect(validator.isDirty()).toBeTruthy();
+});
+
+it("should only re-render fields whose validation result changed", () => {
+	const fieldCount = 200;
+	const render = jest.fn(() => <input />);
+	const Field = withValidation(render);
+	const names = [...Array(fieldCount).keys()].map(i => "field" + i);
+
+	const component = mount(
+		<div>
+			{names.map(name => (
+				<Field key={name} name={name} value="" validator={validator} validate="required" validateOn="change" />
+			))}
+		</div>
+	);
+
+	// Settle initial validation result of all fields
+	validator.validate();
+	render.mockClear();
+
+	validator.setFieldValue("field0", "foo").validate();
+
+	expect(render).toHaveBeenCalledTimes(1);
+	expect(render.mock.calls[0][0].name).toBe("field0");
+
+	render.mockClear();
+
+	// Compare with re-rendering all fields, which is how every validation used to be handled
+	validator.setFieldValue("field0", "").validate();
+	validator.reRenderForm(true);
+
+	expect(render).toHaveBeenCalledTimes(fieldCount + 1);
+
+	component.unmount();
+});
+
+it("should re-render all fields in validation group when one changes", () => {
+	const render = jest.fn(() => <input />);
+	const Field = withValidation(render);
+	const validate = {
+		method: ({ group }) => !!(group.phone || group.email),
+		skipIfEmpty: false,
+		message: "Enter phone or email"
+	};
+
+	mount(
+		<div>
+			<Field name="phone" value="" validator={validator} validate={validate} validationGroup="contact" />
+			<Field name="email" value="" validator={validator} validate={validate} validationGroup="contact" />
+			<Field name="name" value="" validator={validator} validate="required" />
+		</div>
+	);
+
+	validator.validate({ phone: "", email: "", name: "alice" });
+	render.mockClear();
+
+	validator.validate({ phone: "", email: "foo@bar.se", name: "alice" });
+
+	expect(render.mock.calls.map(([props]) => props.name).sort()).toEqual(["email", "phone"]);
+});
+
+it("should only validate blurred field", () => {
+	const component = mount(
+		<div>
+			<ComponentWithValidation value="" name="foo" validator={validator} validate="required" />
+			<ComponentWithValidation value="" name="bar" validator={validator} validate="required" />
+		</div>
+	);
+
+	mockChangeAndBlur(component.find("input[name='foo']"), "");
+
+	expect(validator.validationResult.foo.isInvalid).toBeTruthy();
+	expect(validator.validationResult.bar).toBeUndefined();
+});
+
+it("should use label prop in message template", () => {
+	const component = mountComponent({
+		validate: "required",
+		label: "Name",
+		validationMessage: "{label} is required"
+	});
+
+	mockChangeAndBlur(component.find("input"), "");
+	expect(validator.validationResult.foo.message).toBe("Name is required");
+});
+
+it("should only validate when condition of validateWhen prop is met", () => {
+	const component = mountComponent({
+		validate: "required",
+		validateWhen: { field: "country", is: "SE" }
+	});
+
+	validator.setFieldValue("country", "NO");
+	mockChangeAndBlur(component.find("input"), "");
+	expect(validator.validationResult.foo.isInvalid).toBeFalsy();
+	expect(component.find("input").props().validateWhen).toBeUndefined();
+
+	validator.setFieldValue("country", "SE").validateField("country");
+	expect(validator.validationResult.foo.isInvalid).toBeTruthy();
+});
+
+it("should bind value of custom widget which passes value to onChange", () => {
+	const onChange = jest.fn();
+	const TagPicker = withValidation(({ onChange, onBlur }) => (
+		<button onClick={() => onChange(["a", "b"])} onBlur={() => onBlur()} />
+	));
+
+	const component = mount(
+		<TagPicker
+			name="tags"
+			validator={validator}
+			validate={{ name: "maxItems", args: [1] }}
+			validateOn="change"
+			onChange={onChange}
+		/>
+	);
+
+	component.find("button").simulate("click");
+
+	expect(validator.formState.tags).toEqual(["a", "b"]);
+	expect(validator.validationResult.tags.isInvalid).toBeTruthy();
+	expect(onChange).toHaveBeenCalledWith(["a", "b"]);
+
+	component.find("button").simulate("blur");
+
+	expect(validator.formState.tags).toEqual(["a", "b"]);
+});
+
+it("should keep value of custom widget which forwards blur of an inner input", () => {
+	const TagPicker = withValidation(({ onChange, onBlur }) => (
+		<div>
+			<button onClick={() => onChange(["a", "b"])} />
+			<input className="search" onChange={() => {}} onBlur={onBlur} />
+		</div>
+	));
+
+	const component = mount(<TagPicker name="tags" validator={validator} validate="required" />);
+
+	component.find("button").simulate("click");
+	component.find("input.search").simulate("blur", { target: { type: "text", value: "" } });
+
+	expect(validator.formState.tags).toEqual(["a", "b"]);
+	expect(validator.validationResult.tags.isInvalid).toBeFalsy();
+});
+
+it("should pass ARIA attributes when aria option is set", () => {
+	const Inner = ({
+		validationResult,
+		isInvalid,
+		validationMessage,
+		validationMessageId,
+		isValidating,
+		touched,
+		dirty,
+		pristine,
+		...props
+	}) => <input {...props} />;
+	const Input = withValidation(Inner, { aria: true });
+	const component = mount(
+		<Input name="foo" value="" onChange={() => {}} validator={validator} validate="required" aria-describedby="hint" />
+	);
+
+	let inner = component.find(Inner);
+	expect(inner.prop("aria-invalid")).toBe(false);
+	expect(inner.prop("aria-required")).toBe(true);
+	expect(inner.prop("aria-describedby")).toBe("hint");
+	expect(inner.prop("validationMessageId")).toBe(validator.getMessageId("foo"));
+
+	mockChangeAndBlur(component.find("input"), "");
+	component.update();
+
+	inner = component.find(Inner);
+	expect(inner.prop("aria-invalid")).toBe(true);
+	expect(inner.prop("aria-describedby")).toBe("hint " + validator.getMessageId("foo"));
+});
+
+it("should not pass ARIA attributes by default", () => {
+	const component = mountComponent({ validate: "required" });
+
+	expect(component.find("input").prop("aria-invalid")).toBeUndefined();
+	expect(component.find("input").prop("validationMessageId")).toBeUndefined();
+});
+
+it("should keep rules of persistent step when it unmounts", () => {
+	const Wizard = ({ step }) =>
+		step === "name" ? (
+			<ComponentWithValidation
+				key="name"
+				name="name"
+				scope="name"
+				value=""
+				validator={validator}
+				validate="required"
+			/>
+		) : (
+			<ComponentWithValidation
+				key="email"
+				name="email"
+				scope="email"
+				value="foo"
+				validator={validator}
+				validate="required"
+			/>
+		);
+
+	validator.declareScope("name", { persist: true }).declareScope("email", { persist: true });
+	const component = mount(<Wizard step="name" />);
+
+	expect(validator.validateScope("name").isValid).toBeFalsy();
+
+	component.setProps({ step: "email" });
+
+	expect(validator.fieldValidations.map(rule => [rule.field, rule.scope])).toEqual([
+		["name", "name"],
+		["email", "email"]
+	]);
+	expect(validator.validateScope("email").isValid).toBeTruthy();
+	expect(validator.validate(validator.formState, { includeUndefined: true }).isValid).toBeFalsy();
+	expect(validator.getInvalidScopes()).toEqual(["name"]);
+});
+
 function mountComponent(props) {
 	return mount(
 		<ComponentWithValidation value={""} onChange={() => {}} name="foo" validator={validator} {...props} />
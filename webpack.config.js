@@ -2,12 +2,18 @@ const path = require("path");
 
 module.exports = {
 	mode: process.env.NODE_ENV || "production",
-	entry: "./src/index.js",
+	entry: {
+		index: "./src/index.js",
+		// Without React, i.e. for Node
+		core: "./src/core.js"
+	},
 	devtool: "source-map",
 	output: {
 		path: path.resolve(__dirname, "build"),
-		filename: "index.js",
+		filename: "[name].js",
 		libraryTarget: "umd",
+		// So that bundles can be required in Node as well as in browsers
+		globalObject: "this",
 		library: "react-insta-validation"
 	},
 	module: {